@@ -0,0 +1,215 @@
+import {
+  AUDIT_NAME_PATTERN,
+  AUDIT_PERSONAL_ACCOUNT_PATTERN,
+  AUDIT_PRODUCTION_PATTERN,
+  AUDIT_STALE_MONTHS,
+} from './env.js';
+import { extractConfigDetails, generateJobDefinitionUrl } from './jobDefinitions.js';
+import { userName } from './utils.js';
+
+export const AUDIT_SEVERITIES = ['error', 'warning', 'info'];
+
+const NOTIFICATION_KEYS = ['notifications', 'notification_settings', 'job_definition_notifications'];
+
+export class AuditConfigError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'AuditConfigError';
+    this.code = code;
+  }
+}
+
+// 監査ルール。evaluate(definitions, options) は { definition, message, related? } の配列を返す
+const rules = new Map();
+
+export function registerAuditRule({ id, severity, title, description, evaluate }) {
+  if (!AUDIT_SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown audit severity "${severity}" for rule ${id}`);
+  }
+  rules.set(id, { id, severity, title, description, evaluate });
+}
+
+export function auditRuleIds() {
+  return Array.from(rules.keys());
+}
+
+export function auditRules() {
+  return Array.from(rules.values());
+}
+
+// 定義ごとに判定するルール向け。check(definition, options) が文字列を返したら指摘とする
+function perDefinition(check) {
+  return (definitions, options) => definitions.flatMap((definition) => {
+    const message = check(definition, options);
+    return message ? [{ definition, message }] : [];
+  });
+}
+
+// 引数で指定がなければ環境変数の設定を使い、正規表現を組み立てる
+export function resolveAuditOptions({ namePattern, staleMonths, productionPattern, personalAccountPattern, now = new Date() } = {}) {
+  return {
+    namePattern: compilePattern('namePattern', namePattern ?? AUDIT_NAME_PATTERN, ''),
+    staleMonths: staleMonths ?? AUDIT_STALE_MONTHS,
+    productionPattern: compilePattern('productionPattern', productionPattern ?? AUDIT_PRODUCTION_PATTERN, 'i'),
+    personalAccountPattern: compilePattern('personalAccountPattern', personalAccountPattern ?? AUDIT_PERSONAL_ACCOUNT_PATTERN, 'i'),
+    now,
+  };
+}
+
+function compilePattern(name, source, flags) {
+  if (!source) {
+    return null;
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new AuditConfigError(`Invalid ${name} regular expression: ${error.message}`, { code: 'invalid_pattern' });
+  }
+}
+
+// 全ジョブ定義にルールを適用し、指摘を重要度ごとにまとめる
+export function runAudit(entries, { ruleIds = auditRuleIds(), options = resolveAuditOptions(), baseUrl } = {}) {
+  const unknown = ruleIds.filter((id) => !rules.has(id));
+  if (unknown.length > 0) {
+    throw new AuditConfigError(`Unknown audit rule: ${unknown.join(', ')}. Available: ${auditRuleIds().join(', ')}`, {
+      code: 'unknown_rule',
+    });
+  }
+
+  const definitions = entries.map(({ item, details }) => ({
+    item,
+    details,
+    config: details ? extractConfigDetails(details) : {},
+  }));
+
+  const findings = [];
+  const ruleSummaries = [];
+  for (const id of ruleIds) {
+    const rule = rules.get(id);
+    const ruleFindings = rule.evaluate(definitions, options).map(({ definition, message, related }) => ({
+      rule: rule.id,
+      severity: rule.severity,
+      id: definition.item.id,
+      name: definition.item.name,
+      url: generateJobDefinitionUrl(definition.item.id, baseUrl),
+      message,
+      ...(related ? { related } : {}),
+    }));
+    findings.push(...ruleFindings);
+    ruleSummaries.push({ id: rule.id, severity: rule.severity, title: rule.title, findings: ruleFindings.length });
+  }
+
+  const grouped = Object.fromEntries(AUDIT_SEVERITIES.map((severity) => [
+    severity,
+    findings.filter((finding) => finding.severity === severity),
+  ]));
+  return {
+    definitionsAudited: definitions.length,
+    detailsMissing: definitions.filter((definition) => !definition.details).length,
+    counts: Object.fromEntries(AUDIT_SEVERITIES.map((severity) => [severity, grouped[severity].length])),
+    rules: ruleSummaries,
+    findings: grouped,
+  };
+}
+
+function firstPresent(object, keys) {
+  const key = keys.find((candidate) => object?.[candidate] !== undefined);
+  return key === undefined ? undefined : object[key];
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0)
+    || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+}
+
+registerAuditRule({
+  id: 'missing_description',
+  severity: 'info',
+  title: '説明がない',
+  description: 'Definitions without a description',
+  evaluate: perDefinition(({ item, details }) =>
+    !String(details?.description ?? item.description ?? '').trim() && '説明が設定されていません'),
+});
+
+registerAuditRule({
+  id: 'no_schedule',
+  severity: 'warning',
+  title: 'スケジュールがない',
+  description: 'Definitions without a schedule (they may still run from a workflow)',
+  evaluate: perDefinition(({ details }) =>
+    details && isEmpty(details.schedules) && 'スケジュールが設定されていません（ワークフローから実行される場合は問題ありません）'),
+});
+
+registerAuditRule({
+  id: 'no_notifications',
+  severity: 'warning',
+  title: '通知がない',
+  description: 'Definitions without any notification configured',
+  evaluate: perDefinition(({ details }) =>
+    details && isEmpty(firstPresent(details, NOTIFICATION_KEYS)) && '失敗時などの通知が設定されていません'),
+});
+
+registerAuditRule({
+  id: 'production_write_personal_account',
+  severity: 'error',
+  title: '個人アカウントによる本番スキーマへの書き込み',
+  description: 'Definitions owned by a personal account that write to a production schema',
+  evaluate: perDefinition(({ item, details, config }, { productionPattern, personalAccountPattern }) => {
+    const locator = config.output?.locator;
+    if (!locator || !productionPattern?.test(locator.slice(locator.indexOf('://') + 3))) {
+      return null;
+    }
+    const owners = [details?.updated_by, details?.created_by ?? item.created_by].map(userName).filter(Boolean);
+    const personal = owners.find((owner) => personalAccountPattern?.test(owner));
+    return personal ? `個人アカウント ${personal} の定義が本番 ${locator} に書き込んでいます` : null;
+  }),
+});
+
+registerAuditRule({
+  id: 'duplicate_source_destination',
+  severity: 'warning',
+  title: '入力元と出力先が同じ定義',
+  description: 'Definitions sharing the same source and destination',
+  evaluate: (definitions) => {
+    const groups = new Map();
+    for (const definition of definitions) {
+      const { input, output } = definition.config;
+      if (!input?.locator || !output?.locator) continue;
+      const key = `${input.locator} → ${output.locator}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(definition);
+    }
+    return Array.from(groups).flatMap(([key, group]) => group.length < 2 ? [] : group.map((definition) => ({
+      definition,
+      message: `${key} が他の定義と重複しています`,
+      related: group.filter((other) => other !== definition).map((other) => other.item.id),
+    })));
+  },
+});
+
+registerAuditRule({
+  id: 'naming_convention',
+  severity: 'warning',
+  title: '命名規則に合わない',
+  description: 'Definition names that do not match the configured naming convention (TROCCO_AUDIT_NAME_PATTERN)',
+  evaluate: perDefinition(({ item }, { namePattern }) =>
+    namePattern && !namePattern.test(item.name ?? '') && `名前が命名規則 ${namePattern.source} に合いません`),
+});
+
+registerAuditRule({
+  id: 'stale',
+  severity: 'info',
+  title: '長期間更新されていない',
+  description: 'Definitions not updated for the configured number of months',
+  evaluate: perDefinition(({ item, details }, { staleMonths, now }) => {
+    const updatedAt = Date.parse(details?.updated_at ?? item.updated_at ?? '');
+    if (!Number.isFinite(updatedAt) || !(staleMonths > 0)) {
+      return null;
+    }
+    const threshold = new Date(now);
+    threshold.setMonth(threshold.getMonth() - staleMonths);
+    return updatedAt < threshold.getTime()
+      ? `${new Date(updatedAt).toISOString().slice(0, 10)} から更新されていません（${staleMonths}か月以上）`
+      : null;
+  }),
+});
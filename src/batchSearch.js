@@ -0,0 +1,386 @@
+import { evaluateQuery, extractPositiveText, parseQuery, UNKNOWN } from './query.js';
+import { getResourceType, requestResourceDetails, resourceKey } from './resourceTypes.js';
+
+// 戦略ごとのマッチ対象フィールド
+const STRATEGY_FIELDS = {
+  exhaustive_scan: ['name', 'description'],
+  keyword_chunks: ['name'],
+  alphabet_sweep: ['name'],
+  recent_first: ['name', 'description'],
+};
+
+export const SEARCH_STRATEGIES = Object.keys(STRATEGY_FIELDS);
+
+export const SEARCH_SOURCES = ['auto', 'index', 'api'];
+
+export const FUZZY_MODES = ['auto', 'on', 'off'];
+
+export const ENRICH_DEPTHS = ['none', 'summary', 'full'];
+
+// 詳細をリソース種別をまたいで保持するためのキー
+export function detailKey(item) {
+  return `${item.resource_type}:${item.resource_key}`;
+}
+
+// クエリを解析し、一覧の項目だけで判定できない条件は候補の詳細ペイロードで判定する
+// fuzzy: 'auto' は通常の一致で見つからなかった場合のみ、あいまい一致で探し直す
+export async function runBatchSearch({
+  client,
+  indexes = {},
+  resourceTypes = ['job_definition'],
+  searchTerm,
+  strategy,
+  maxBatches,
+  source = 'auto',
+  maxDetailFetches = 100,
+  fuzzy = 'auto',
+  fuzzyThreshold,
+  signal,
+}) {
+  const exactQuery = parseQuery(searchTerm);
+  const fuzzyQuery = fuzzy === 'off' ? null : parseQuery(searchTerm, { fuzzy: true, fuzzyThreshold });
+  const textFields = STRATEGY_FIELDS[strategy] ?? STRATEGY_FIELDS.exhaustive_scan;
+  const apiTerm = extractPositiveText(exactQuery).sort((a, b) => b.length - a.length)[0] ?? '';
+  const candidateQuery = fuzzyQuery ?? exactQuery;
+
+  const candidates = { sources: new Set(), batchesSearched: 0, totalScanned: 0, matches: [], errors: [], warnings: [] };
+  const collectedByType = await client.map(resourceTypes, (resourceType) => collectCandidates({
+    client,
+    index: indexes[resourceType],
+    resourceType,
+    apiTerm,
+    strategy,
+    maxBatches,
+    source,
+    signal,
+    matches: (item) => evaluateQuery(candidateQuery, { item, textFields }) !== false,
+  }), { signal });
+
+  resourceTypes.forEach((resourceType, i) => {
+    const collected = collectedByType[i];
+    candidates.sources.add(collected.source);
+    candidates.batchesSearched += collected.batchesSearched;
+    candidates.totalScanned += collected.totalScanned;
+    candidates.errors.push(...collected.errors.map((error) => ({ resourceType, ...error })));
+    candidates.warnings.push(...collected.warnings);
+    candidates.matches.push(...collected.matches.map((item) => ({
+      ...item,
+      resource_type: resourceType,
+      resource_key: resourceKey(resourceType, item),
+    })));
+  });
+
+  const detailState = {
+    client,
+    indexes,
+    maxDetailFetches,
+    details: new Map(),
+    fetched: 0,
+    skipped: new Set(),
+    failed: new Map(),
+    signal,
+  };
+  let fuzzyApplied = fuzzy === 'on';
+  let matches = await filterMatches(fuzzyApplied ? fuzzyQuery : exactQuery, candidates.matches, textFields, detailState);
+  if (matches.length === 0 && fuzzy === 'auto') {
+    fuzzyApplied = true;
+    matches = await filterMatches(fuzzyQuery, candidates.matches, textFields, detailState);
+  }
+
+  const errors = [...candidates.errors, ...detailState.failed.values()];
+  const warnings = [...candidates.warnings];
+  if (detailState.failed.size > 0) {
+    warnings.push(`${detailState.failed.size}件の候補は詳細を取得できなかったため判定できませんでした`);
+  }
+  if (detailState.skipped.size > 0) {
+    warnings.push(`${detailState.skipped.size}件の候補はmaxDetailFetchesに達したため判定していません`);
+  }
+
+  return {
+    source: candidates.sources.size === 1 ? [...candidates.sources][0] : 'mixed',
+    batchesSearched: candidates.batchesSearched,
+    totalScanned: candidates.totalScanned,
+    matches,
+    fuzzyApplied,
+    complete: warnings.length === 0,
+    errors,
+    warnings,
+    details: detailState.details,
+    detailsFetched: detailState.fetched,
+    detailsSkipped: detailState.skipped.size,
+  };
+}
+
+async function filterMatches(query, items, textFields, detailState) {
+  const { client, indexes, details, maxDetailFetches, signal } = detailState;
+
+  // 一覧の項目だけで判定できない候補の詳細を、上限の範囲で先にまとめて並行取得する
+  const pending = [];
+  const results = items.map((item) => {
+    const result = evaluateQuery(query, { item, textFields });
+    if (result !== UNKNOWN) return result;
+
+    const key = detailKey(item);
+    if (detailState.failed.has(key) || details.has(key)) return result;
+    const indexed = indexes[item.resource_type]?.getDetails(item.resource_key);
+    if (indexed) {
+      details.set(key, indexed);
+    } else if (detailState.fetched >= maxDetailFetches) {
+      detailState.skipped.add(key);
+    } else {
+      detailState.fetched += 1;
+      pending.push({ key, item });
+    }
+    return result;
+  });
+
+  await client.map(pending, async ({ key, item }) => {
+    try {
+      details.set(key, await requestResourceDetails(client, item.resource_type, item, { signal }));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // 詳細が取れなかった候補は「不一致」ではなく「未確認」として記録する
+      detailState.failed.set(key, {
+        resourceType: item.resource_type,
+        stage: 'details',
+        id: item.id,
+        status: error.response?.status ?? null,
+        message: error.message,
+      });
+    }
+  }, { signal });
+
+  const matches = [];
+  items.forEach((item, i) => {
+    let result = results[i];
+    if (result === UNKNOWN) {
+      const key = detailKey(item);
+      if (!details.has(key)) return;
+      result = evaluateQuery(query, { item, details: details.get(key), textFields });
+    }
+
+    if (result !== false && result !== UNKNOWN) {
+      matches.push({
+        ...item,
+        score: Math.round(result.score * 1000) / 1000,
+        ...(result.highlights.length > 0 ? { matchedFields: result.highlights } : {}),
+      });
+    }
+  });
+
+  // 関連度の高い順（同点は元の順序を保つ）
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+// インデックスが使えるならローカル検索、そうでなければAPIをバッチで走査する
+async function collectCandidates({ client, index, resourceType, apiTerm, strategy, maxBatches, source, signal, matches }) {
+  if (source === 'index' && !index?.isReady()) {
+    throw new Error(`The local ${resourceType} index has not been synced yet. Run trocco_sync_index first.`);
+  }
+
+  if (source === 'index' || (source === 'auto' && index?.isReady())) {
+    const items = index.items();
+    return {
+      source: 'index',
+      batchesSearched: 0,
+      totalScanned: items.length,
+      matches: items.filter(matches),
+      errors: [],
+      warnings: index.lastSyncStats?.complete === false
+        ? [`${resourceType}のインデックスは前回の同期が途中で失敗したため、一部が古いか欠けている可能性があります`]
+        : [],
+    };
+  }
+
+  // name_containsで絞り込めない種別と、自由語のないクエリ（フィルターのみ）のkeyword_chunksは、一覧を順に走査する
+  const definition = getResourceType(resourceType);
+  const canNarrow = definition.supportsNameContains && (strategy !== 'keyword_chunks' || apiTerm !== '');
+  const scanName = canNarrow || !NAME_CONTAINS_STRATEGIES.includes(strategy) ? strategy : 'exhaustive_scan';
+  const scan = API_STRATEGIES[scanName] ?? API_STRATEGIES.exhaustive_scan;
+  const state = {
+    client,
+    sources: definition.listSources(),
+    signal,
+    searchTerm: apiTerm,
+    maxBatches,
+    matches,
+    allMatches: [],
+    totalScanned: 0,
+    batchesSearched: 0,
+    requests: 0,
+    errors: [],
+    truncated: false,
+  };
+  await scan(state);
+  state.errors.sort((a, b) => a.batch - b.batch);
+
+  const warnings = [];
+  if (state.errors.length > 0) {
+    warnings.push(`${resourceType}の${state.errors.length}件のバッチが失敗したため、結果が不完全な可能性があります`);
+  }
+  if (state.truncated) {
+    warnings.push(`maxBatches (${maxBatches}) に達したため、${resourceType}の一部を走査していません`);
+  }
+
+  // 重複排除
+  const keys = state.allMatches.map((match) => resourceKey(resourceType, match));
+  const uniqueMatches = state.allMatches.filter((match, index) => keys.indexOf(keys[index]) === index);
+
+  return {
+    source: 'api',
+    batchesSearched: state.batchesSearched,
+    totalScanned: state.totalScanned,
+    matches: uniqueMatches,
+    errors: state.errors,
+    warnings,
+  };
+}
+
+const NAME_CONTAINS_STRATEGIES = ['keyword_chunks', 'alphabet_sweep'];
+
+const API_STRATEGIES = {
+  // ページネーションで徹底的にスキャン。カーソルは前のページの応答で決まるため、並行化は一覧（接続の種類など）単位
+  async exhaustive_scan(state) {
+    const perSource = await state.client.map(state.sources, async ({ path, fields }) => {
+      const found = [];
+      let cursor = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        if (state.batchesSearched >= state.maxBatches) {
+          state.truncated = true;
+          break;
+        }
+        const batch = ++state.requests;
+        try {
+          const query = { limit: 100 };
+          if (cursor) query.cursor = cursor;
+
+          const response = await state.client.request({
+            path,
+            method: 'GET',
+            query,
+            signal: state.signal,
+          });
+
+          const items = withFields(response.data?.items || [], fields);
+          state.totalScanned += items.length;
+          state.batchesSearched++;
+
+          found.push(...items.filter(state.matches));
+
+          cursor = response.data?.next_cursor;
+          hasMore = !!cursor;
+        } catch (error) {
+          if (state.signal?.aborted) throw error;
+          // カーソルが進められないため、この一覧の残りは走査できない
+          recordBatchError(state, error, { path, cursor, batch });
+          break;
+        }
+      }
+      return found;
+    }, { signal: state.signal });
+    state.allMatches.push(...perSource.flat());
+  },
+
+  // キーワードの部分文字列で検索
+  async keyword_chunks(state) {
+    const { searchTerm } = state;
+    const chunks = [];
+    for (let i = 0; i < searchTerm.length - 2; i++) {
+      chunks.push(searchTerm.substring(i, i + 3));
+    }
+    chunks.push(searchTerm.substring(0, Math.floor(searchTerm.length / 2)));
+    chunks.push(searchTerm.substring(Math.floor(searchTerm.length / 2)));
+
+    await sweepNameContains(state, [...new Set(chunks)]);
+  },
+
+  // アルファベット順に検索
+  async alphabet_sweep(state) {
+    await sweepNameContains(state, 'abcdefghijklmnopqrstuvwxyz0123456789'.split(''));
+  },
+
+  // 最近作成されたものから検索（IDが大きいものから）
+  async recent_first(state) {
+    const perSource = await state.client.map(state.sources, async ({ path, fields }) => {
+      const found = [];
+      for (let i = 0; i < state.maxBatches && state.batchesSearched < state.maxBatches; i++) {
+        const batch = ++state.requests;
+        try {
+          const response = await state.client.request({
+            path,
+            method: 'GET',
+            query: { limit: 100 },
+            signal: state.signal,
+          });
+
+          const items = withFields(response.data?.items || [], fields);
+          state.totalScanned += items.length;
+          state.batchesSearched++;
+
+          found.push(...items.filter(state.matches));
+
+          if (items.length === 0) break;
+        } catch (error) {
+          if (state.signal?.aborted) throw error;
+          recordBatchError(state, error, { path, batch });
+          break;
+        }
+      }
+      return found;
+    }, { signal: state.signal });
+    state.allMatches.push(...perSource.flat());
+  },
+};
+
+// 接続情報の種類など、一覧のパスから決まる値を各項目に付与する
+function withFields(items, fields) {
+  return fields ? items.map((item) => ({ ...item, ...fields })) : items;
+}
+
+// チャンク・文字ごとの問い合わせは互いに独立しているため、maxBatchesの範囲で並行に送る
+async function sweepNameContains(state, terms) {
+  const budget = Math.max(0, state.maxBatches - state.batchesSearched);
+  if (terms.length > budget) {
+    state.truncated = true;
+  }
+
+  const path = state.sources[0].path;
+  const perTerm = await state.client.map(terms.slice(0, budget), async (term) => {
+    const batch = ++state.requests;
+    try {
+      const response = await state.client.request({
+        path,
+        method: 'GET',
+        query: { name_contains: term, limit: 200 },
+        signal: state.signal,
+      });
+
+      const items = response.data?.items || [];
+      state.totalScanned += items.length;
+      state.batchesSearched++;
+
+      return items.filter(state.matches);
+    } catch (error) {
+      if (state.signal?.aborted) throw error;
+      // 失敗したチャンクは記録して残りのチャンクを続ける
+      recordBatchError(state, error, { path, chunk: term, batch });
+      return [];
+    }
+  }, { signal: state.signal });
+  state.allMatches.push(...perTerm.flat());
+}
+
+// 失敗したバッチを、どのリクエストだったか分かる形で記録する
+function recordBatchError(state, error, { path, cursor = null, chunk, batch }) {
+  state.errors.push({
+    stage: 'batch',
+    batch,
+    path,
+    cursor,
+    ...(chunk !== undefined ? { chunk } : {}),
+    status: error.response?.status ?? null,
+    message: error.message,
+  });
+}
@@ -0,0 +1,72 @@
+import { SharedTask } from './scheduler.js';
+
+// 有効期限付きのメモリキャッシュ。同じキーの読み込み中はそのPromiseを共有する
+export class TtlCache {
+  constructor({ ttlMs, maxEntries = 2000, now = () => Date.now() }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (!this.enabled) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // isStale(value)がtrueを返すキャッシュは使わずに読み直す
+  // 読み込みは共有するため、loadには呼び出し元のsignalではなく、待っている呼び出し元がすべて中断したときに中断するsignalを渡す
+  async getOrLoad(key, load, { isStale, signal } = {}) {
+    if (!this.enabled) {
+      return load(signal);
+    }
+
+    const cached = this.get(key);
+    if (cached !== undefined && !cached.aborted) {
+      const value = await cached.join(signal);
+      if (!isStale?.(value)) {
+        return value;
+      }
+    }
+
+    const task = new SharedTask(load);
+    this.set(key, task);
+    // 失敗・中断した読み込みはキャッシュに残さない
+    task.promise.catch(() => {
+      if (this.entries.get(key)?.value === task) {
+        this.entries.delete(key);
+      }
+    });
+    return task.join(signal);
+  }
+}
@@ -0,0 +1,80 @@
+import { isSecretKey, maskSecrets, REDACTED } from './redact.js';
+
+// 比較する区分と、ジョブ定義のトップレベルのキーがどの区分に属するか
+const DIFF_SECTIONS = {
+  input: (key) => key.startsWith('input_option'),
+  output: (key) => key.startsWith('output_option'),
+  filters: (key) => key.startsWith('filter'),
+  schedules: (key) => key === 'schedules' || key.startsWith('schedule'),
+  custom_variables: (key) => key === 'custom_variable_settings' || key === 'custom_variables',
+};
+
+export const DIFF_SECTION_NAMES = [...Object.keys(DIFF_SECTIONS), 'other'];
+
+// 複製元と複製先で必ず異なるため、比較しないキー
+const IGNORED_KEYS = ['id', 'name', 'description', 'created_at', 'updated_at', 'created_by', 'updated_by'];
+
+// 同じ定義の時系列の比較では、名前や説明の変更も差分として扱う
+export const HISTORY_IGNORED_KEYS = ['id', 'created_at', 'updated_at', 'created_by', 'updated_by'];
+
+export function sectionOf(key) {
+  return Object.keys(DIFF_SECTIONS).find((section) => DIFF_SECTIONS[section](key)) ?? 'other';
+}
+
+// 2つのジョブ定義の差分を、getByPathで辿れるパスごとに列挙する
+export function diffDefinitions(left, right, { sections = DIFF_SECTION_NAMES, ignoredKeys = IGNORED_KEYS } = {}) {
+  const changes = [];
+  const keys = new Set([...Object.keys(left ?? {}), ...Object.keys(right ?? {})]);
+
+  for (const key of keys) {
+    if (ignoredKeys.includes(key)) continue;
+    const section = sectionOf(key);
+    if (!sections.includes(section)) continue;
+    diffValues(left?.[key], right?.[key], key, key, section, changes);
+  }
+
+  const counts = Object.fromEntries(sections.map((section) => [section, 0]));
+  for (const change of changes) {
+    counts[change.section] += 1;
+  }
+  return { changes, counts };
+}
+
+function diffValues(before, after, path, key, section, changes) {
+  // 秘密の値を持つキーは中身を辿らず、まとめて伏せ字の差分にする
+  if (!isSecretKey(String(key)) && isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const childKeys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    for (const childKey of childKeys) {
+      const childPath = Array.isArray(before) ? `${path}[${childKey}]` : `${path}.${childKey}`;
+      diffValues(before[childKey], after[childKey], childPath, Array.isArray(before) ? key : childKey, section, changes);
+    }
+    return;
+  }
+
+  if (isEqual(before, after)) {
+    return;
+  }
+
+  const type = before === undefined ? 'added' : after === undefined ? 'removed' : 'changed';
+  const secret = isSecretKey(String(key));
+  changes.push({
+    section,
+    path,
+    type,
+    ...(type !== 'added' ? { before: secret ? REDACTED : maskSecrets(before) } : {}),
+    ...(type !== 'removed' ? { after: secret ? REDACTED : maskSecrets(after) } : {}),
+    ...(secret ? { masked: true } : {}),
+  });
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b)) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,187 @@
+import { diffDefinitions } from './definitionDiff.js';
+import { extractConfigDetails, generateJobDefinitionUrl } from './jobDefinitions.js';
+import { normalizeText, stringSimilarity } from './textMatch.js';
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.85;
+
+// 類似度は入出力の設定とジョブ名の重み付き平均
+const CONFIG_WEIGHT = 0.6;
+const NAME_WEIGHT = 0.4;
+
+// 候補をまとめるとき、これより大きいグループは汎用的すぎる（組の数が膨大になる）ため比較しない
+const MAX_BLOCK_SIZE = 500;
+
+// 複製時に付けられがちな接尾辞（"(copy)"、"_v2"、"_old"など）
+const COPY_MARKER_PATTERN = /(\s*[(（](copy|コピー|複製)[^)）]*[)）]|[\s_-]+(copy|コピー|old|bak|backup|tmp|temp|test|v\d+|\d{8}))+$/i;
+
+export function hasCopyMarker(name) {
+  return COPY_MARKER_PATTERN.test(String(name ?? '').trim());
+}
+
+// 複製の目印を取り除いた、比較用の名前
+export function baseName(name) {
+  return normalizeText(String(name ?? '').trim().replace(COPY_MARKER_PATTERN, ''));
+}
+
+function endpointSimilarity(left, right) {
+  if (!left?.locator || !right?.locator) {
+    // ロケーターが取れない場合はコネクタの種類だけで弱く判定する
+    return left?.type && left.type === right?.type ? 0.5 : 0;
+  }
+  if (left.system !== right.system) {
+    return 0;
+  }
+  if (left.locator.toLowerCase() === right.locator.toLowerCase()) {
+    return 1;
+  }
+  // テーブル名などの末尾だけが違う場合は、同じデータベースやバケットを使う別のデータとみなす
+  return containerOf(left.locator) === containerOf(right.locator) ? 0.5 : 0;
+}
+
+function containerOf(locator) {
+  return locator.toLowerCase().replace(/[./][^./]*\/?$/, '');
+}
+
+function pairSimilarity(left, right) {
+  const inputSimilarity = endpointSimilarity(left.config.input, right.config.input);
+  const outputSimilarity = endpointSimilarity(left.config.output, right.config.output);
+  const configSimilarity = (inputSimilarity + outputSimilarity) / 2;
+  const nameSimilarity = stringSimilarity(left.baseName, right.baseName);
+  return {
+    similarity: CONFIG_WEIGHT * configSimilarity + NAME_WEIGHT * nameSimilarity,
+    configSimilarity,
+    nameSimilarity,
+    identicalConfig: Boolean(left.signature) && left.signature === right.signature,
+  };
+}
+
+// 比較する組を、入力元・出力先・入出力の組・複製の目印を除いた名前のいずれかが同じ定義に絞る
+// 多くの定義が共有する入力元・出力先（共通のステージングテーブルなど）でも、入出力の組が同じ定義どうしは比較される
+function candidatePairs(definitions) {
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+  definitions.forEach((definition, index) => {
+    if (definition.config.input?.locator) addToBlock(`input:${definition.config.input.locator}`, index);
+    if (definition.config.output?.locator) addToBlock(`output:${definition.config.output.locator}`, index);
+    if (definition.signature) addToBlock(`pair:${definition.signature}`, index);
+    addToBlock(`name:${definition.baseName.replace(/[\s_-]*\d+$/, '')}`, index);
+  });
+
+  // 組は i * 件数 + j の数値で持ち、文字列を大量に作らない
+  const pairs = new Set();
+  const skippedBlocks = [];
+  for (const [key, members] of blocks) {
+    if (members.length < 2) continue;
+    if (members.length > MAX_BLOCK_SIZE) {
+      skippedBlocks.push({ key, size: members.length });
+      continue;
+    }
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        pairs.add(members[i] * definitions.length + members[j]);
+      }
+    }
+  }
+  return {
+    pairs: Array.from(pairs, (pair) => [Math.floor(pair / definitions.length), pair % definitions.length]),
+    skippedBlocks,
+  };
+}
+
+// 複製元らしい定義を選ぶ: 複製の目印がない、スケジュールがある、作成が古い、IDが小さい順
+function chooseCanonical(members) {
+  const rank = (definition) => [
+    hasCopyMarker(definition.item.name) ? 1 : 0,
+    Array.isArray(definition.details?.schedules) && definition.details.schedules.length > 0 ? 0 : 1,
+    Date.parse(definition.item.created_at ?? '') || Number.MAX_SAFE_INTEGER,
+    Number(definition.item.id) || 0,
+  ];
+  const compareRanks = (left, right) => {
+    const a = rank(left);
+    const b = rank(right);
+    const position = a.findIndex((value, i) => value !== b[i]);
+    return position === -1 ? 0 : a[position] - b[position];
+  };
+  const canonical = [...members].sort(compareRanks)[0];
+
+  const reasons = [];
+  if (!hasCopyMarker(canonical.item.name) && members.some((member) => hasCopyMarker(member.item.name))) {
+    reasons.push('名前に複製の目印がない');
+  }
+  if (canonical.details?.schedules?.length > 0 && members.some((member) => !(member.details?.schedules?.length > 0))) {
+    reasons.push('スケジュールが設定されている');
+  }
+  if (reasons.length === 0) {
+    reasons.push('最も古くに作成された');
+  }
+  return { canonical, reasons };
+}
+
+// 入出力の設定と名前が似ている定義をまとめ、代表の定義と各定義の違いを返す
+// 大きすぎて比較しなかった候補のグループはskippedBlocksで返す
+export function findDuplicateClusters(entries, { threshold = DEFAULT_DUPLICATE_THRESHOLD, minClusterSize = 2, maxChanges = 20, baseUrl } = {}) {
+  const definitions = entries
+    .filter(({ details }) => details)
+    .map(({ item, details }) => {
+      const config = extractConfigDetails(details);
+      return {
+        item,
+        details,
+        config,
+        baseName: baseName(item.name),
+        signature: config.input?.locator && config.output?.locator ? `${config.input.locator} → ${config.output.locator}` : null,
+      };
+    });
+
+  // Union-Findで、しきい値を超えた組を同じクラスタにまとめる
+  const parent = definitions.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const { pairs, skippedBlocks } = candidatePairs(definitions);
+  for (const [i, j] of pairs) {
+    if (pairSimilarity(definitions[i], definitions[j]).similarity >= threshold) {
+      parent[find(i)] = find(j);
+    }
+  }
+
+  const groups = new Map();
+  definitions.forEach((definition, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(definition);
+  });
+
+  const describe = (definition) => ({
+    id: definition.item.id,
+    name: definition.item.name,
+    url: generateJobDefinitionUrl(definition.item.id, baseUrl),
+    input: definition.config.input?.locator ?? null,
+    output: definition.config.output?.locator ?? null,
+  });
+
+  const clusters = Array.from(groups.values())
+    .filter((members) => members.length >= Math.max(2, minClusterSize))
+    .map((members) => {
+      const { canonical, reasons } = chooseCanonical(members);
+      return {
+        size: members.length,
+        canonical: { ...describe(canonical), reasons },
+        members: members.filter((member) => member !== canonical).map((member) => {
+          const scores = pairSimilarity(canonical, member);
+          const { changes, counts } = diffDefinitions(canonical.details, member.details);
+          return {
+            ...describe(member),
+            similarity: Number(scores.similarity.toFixed(3)),
+            configSimilarity: Number(scores.configSimilarity.toFixed(3)),
+            nameSimilarity: Number(scores.nameSimilarity.toFixed(3)),
+            identicalConfig: scores.identicalConfig,
+            differences: { total: changes.length, counts, changes: changes.slice(0, maxChanges) },
+          };
+        }),
+      };
+    })
+    .sort((left, right) => right.size - left.size || Number(left.canonical.id) - Number(right.canonical.id));
+  return { clusters, skippedBlocks };
+}
@@ -1,3 +1,6 @@
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
 import { config as loadDotEnv } from 'dotenv';
 
 const dotenvPath = process.env.TROCCO_MCP_ENV_PATH;
@@ -6,12 +9,15 @@ if (error && process.env.NODE_ENV !== 'production') {
   console.warn('[trocco-mcp] Unable to load .env file:', error.message);
 }
 
+// 複数のアカウントを切り替えて使うためのプロファイル定義（JSON）
+export const TROCCO_PROFILES_FILE = process.env.TROCCO_PROFILES_FILE?.trim() ? resolve(process.env.TROCCO_PROFILES_FILE.trim()) : null;
+
 const rawApiKey = process.env.TROCCO_API_KEY ?? process.env.TROCCO_TOKEN;
-if (!rawApiKey || !rawApiKey.trim()) {
-  throw new Error('Missing Trocco API key. Set TROCCO_API_KEY in your environment.');
+if ((!rawApiKey || !rawApiKey.trim()) && !TROCCO_PROFILES_FILE) {
+  throw new Error('Missing Trocco API key. Set TROCCO_API_KEY (or TROCCO_PROFILES_FILE) in your environment.');
 }
 
-export const TROCCO_API_KEY = rawApiKey.trim();
+export const TROCCO_API_KEY = rawApiKey?.trim() ?? '';
 
 const defaultBaseUrl = 'https://trocco.io/';
 const rawBaseUrl = process.env.TROCCO_BASE_URL ?? defaultBaseUrl;
@@ -37,3 +43,101 @@ export const TROCCO_EXTRA_HEADERS = (() => {
   }
   return {};
 })();
+
+const defaultCacheDir = join(homedir(), '.cache', 'trocco-mcp');
+export const TROCCO_CACHE_DIR = resolve(process.env.TROCCO_CACHE_DIR?.trim() || defaultCacheDir);
+
+export const INDEX_REFRESH_INTERVAL_MS = Number.parseInt(process.env.TROCCO_INDEX_REFRESH_INTERVAL_MS ?? '0', 10);
+
+function envFlag(name) {
+  return ['1', 'true', 'yes'].includes((process.env[name] ?? '').trim().toLowerCase());
+}
+
+export const INDEX_INCLUDE_DETAILS = envFlag('TROCCO_INDEX_INCLUDE_DETAILS');
+
+export const JOB_CONTROL_ENABLED = envFlag('TROCCO_ENABLE_JOB_CONTROL');
+
+// カンマ区切りのジョブ定義IDまたは名前パターン（`daily_*` や `/^prod_/`）
+export const JOB_CONTROL_ALLOWLIST = (process.env.TROCCO_JOB_CONTROL_ALLOWLIST ?? '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+// 接続情報の検索対象にする接続の種類（/api/connections/{type}）
+export const TROCCO_CONNECTION_TYPES = (
+  process.env.TROCCO_CONNECTION_TYPES
+  ?? 'bigquery,snowflake,mysql,postgresql,redshift,s3,gcs,salesforce,google_spreadsheets,kintone,sftp'
+)
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+// 429/5xxなどの一時的なエラーで再試行する回数（冪等なメソッドのみ）
+export const MAX_RETRIES = Number.parseInt(process.env.TROCCO_MAX_RETRIES ?? '3', 10);
+export const RETRY_BASE_DELAY_MS = Number.parseInt(process.env.TROCCO_RETRY_BASE_DELAY_MS ?? '500', 10);
+export const RETRY_MAX_DELAY_MS = Number.parseInt(process.env.TROCCO_RETRY_MAX_DELAY_MS ?? '30000', 10);
+
+// クライアント側のレート制限（1秒あたりのリクエスト数とバースト、0で無効）
+export const RATE_LIMIT_PER_SECOND = Number.parseFloat(process.env.TROCCO_RATE_LIMIT_PER_SECOND ?? '5');
+export const RATE_LIMIT_BURST = Number.parseInt(process.env.TROCCO_RATE_LIMIT_BURST ?? '10', 10);
+
+// Trocco APIへの同時リクエスト数の上限
+export const TROCCO_CONCURRENCY = Number.parseInt(process.env.TROCCO_CONCURRENCY ?? '4', 10);
+
+// trocco_batch_searchの結果を続きのページのために保持する時間
+export const RESULT_SESSION_TTL_MS = Number.parseInt(process.env.TROCCO_RESULT_SESSION_TTL_MS ?? '600000', 10);
+
+// 取得したジョブ定義などの詳細をメモリに保持する時間（0で無効）
+export const DETAIL_CACHE_TTL_MS = Number.parseInt(process.env.TROCCO_DETAIL_CACHE_TTL_MS ?? '300000', 10);
+
+// trocco_exportがファイルを書き出すディレクトリ（未設定の場合はファイルに書き出さない）
+export const TROCCO_EXPORT_DIR = process.env.TROCCO_EXPORT_DIR?.trim() ? resolve(process.env.TROCCO_EXPORT_DIR.trim()) : null;
+
+// 定義のスナップショットを自動で取る間隔（ミリ秒、0で無効）と保持する数
+export const SNAPSHOT_INTERVAL_MS = Number.parseInt(process.env.TROCCO_SNAPSHOT_INTERVAL_MS ?? '0', 10);
+export const SNAPSHOT_RETENTION = Number.parseInt(process.env.TROCCO_SNAPSHOT_RETENTION ?? '30', 10);
+
+// trocco_auditのルール設定（命名規則は未設定の場合チェックしない）
+export const AUDIT_NAME_PATTERN = process.env.TROCCO_AUDIT_NAME_PATTERN?.trim() || null;
+export const AUDIT_STALE_MONTHS = Number.parseInt(process.env.TROCCO_AUDIT_STALE_MONTHS ?? '12', 10);
+export const AUDIT_PRODUCTION_PATTERN = process.env.TROCCO_AUDIT_PRODUCTION_PATTERN?.trim() || '(^|[._/])(prod|production)([._/]|$)';
+export const AUDIT_PERSONAL_ACCOUNT_PATTERN = process.env.TROCCO_AUDIT_PERSONAL_ACCOUNT_PATTERN?.trim() || '@';
+
+// 応答やログで値を伏せる追加のキー（カンマ区切り、大文字小文字を区別しない）
+export const REDACT_EXTRA_KEYS = (process.env.TROCCO_REDACT_KEYS ?? '')
+  .split(',')
+  .map((key) => key.trim())
+  .filter(Boolean);
+
+// MCPクライアントとの接続方式。CLIの--transport/--host/--portが環境変数より優先される
+const { values: cliOptions } = parseArgs({
+  args: process.argv.slice(2),
+  options: {
+    transport: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'string' },
+  },
+  strict: false,
+});
+
+export const MCP_TRANSPORT = (cliOptions.transport ?? process.env.TROCCO_MCP_TRANSPORT ?? 'stdio').trim().toLowerCase();
+if (!['stdio', 'http'].includes(MCP_TRANSPORT)) {
+  throw new Error(`Unknown MCP transport "${MCP_TRANSPORT}". Use "stdio" or "http".`);
+}
+export const MCP_HTTP_HOST = (cliOptions.host ?? process.env.TROCCO_MCP_HOST ?? '127.0.0.1').trim();
+export const MCP_HTTP_PORT = Number.parseInt(cliOptions.port ?? process.env.TROCCO_MCP_PORT ?? '3000', 10);
+
+// HTTPで接続するMCPクライアントのBearerトークン（カンマ区切り）
+export const MCP_AUTH_TOKENS = (process.env.TROCCO_MCP_AUTH_TOKENS ?? '')
+  .split(',')
+  .map((token) => token.trim())
+  .filter(Boolean);
+
+// HTTPで受け付けるHostヘッダー・Originのホスト名（カンマ区切り）。ループバックで待ち受ける場合はlocalhostなどが常に許可される
+export const MCP_ALLOWED_HOSTS = (process.env.TROCCO_MCP_ALLOWED_HOSTS ?? '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// この時間リクエストのないHTTPセッションを閉じる（ミリ秒、0で無効）
+export const MCP_SESSION_IDLE_MS = Number.parseInt(process.env.TROCCO_MCP_SESSION_IDLE_MS ?? '1800000', 10);
@@ -0,0 +1,99 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { TROCCO_EXPORT_DIR } from './env.js';
+import { safeJsonStringify } from './utils.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'markdown'];
+
+const FILE_EXTENSIONS = { csv: '.csv', jsonl: '.jsonl', markdown: '.md' };
+// 同名のファイルがある場合に連番を付けて試す回数
+const MAX_EXPORT_NAME_ATTEMPTS = 100;
+
+// 出力する列と、検索結果の項目から値を取り出す関数
+const EXPORT_COLUMNS = [
+  ['profile', (match) => match.profile],
+  ['resource_type', (match) => match.resource_type],
+  ['id', (match) => match.id],
+  ['name', (match) => match.name],
+  ['input_type', (match) => match.input_option_type],
+  ['output_type', (match) => match.output_option_type],
+  ['created_by', (match) => match.created_by],
+  ['input_locator', (match) => match.config?.input?.locator],
+  ['output_locator', (match) => match.config?.output?.locator],
+  ['url', (match) => match.url],
+  ['score', (match) => match.score],
+];
+
+export const EXPORT_COLUMN_NAMES = EXPORT_COLUMNS.map(([name]) => name);
+
+export function toExportRows(matches) {
+  return matches.map((match) => Object.fromEntries(EXPORT_COLUMNS.map(([name, pick]) => [name, pick(match) ?? null])));
+}
+
+export function renderExport(rows, format) {
+  switch (format) {
+    case 'csv':
+      return [EXPORT_COLUMN_NAMES, ...rows.map((row) => EXPORT_COLUMN_NAMES.map((name) => row[name]))]
+        .map((cells) => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+    case 'jsonl':
+      return rows.map((row) => safeJsonStringify(row, 0)).join('\n') + (rows.length > 0 ? '\n' : '');
+    case 'markdown':
+      return [
+        `| ${EXPORT_COLUMN_NAMES.join(' | ')} |`,
+        `| ${EXPORT_COLUMN_NAMES.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${EXPORT_COLUMN_NAMES.map((name) => markdownCell(row[name])).join(' | ')} |`),
+      ].join('\n') + '\n';
+    default:
+      throw new Error(`Unknown export format "${format}". Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? safeJsonStringify(value, 0) : String(value);
+}
+
+// カンマ・引用符・改行を含む値と、表計算ソフトで数式と解釈される値をエスケープする
+function csvCell(value) {
+  let text = cellText(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return cellText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+// エクスポートディレクトリ直下にのみ書き出す（パス区切りは取り除く）
+// 拡張子は形式に合わせたものに置き換え、既存のファイルは上書きせずに連番を付けた名前で書き出す
+export async function writeExport(content, { fileName, format, exportDir = TROCCO_EXPORT_DIR }) {
+  if (!exportDir) {
+    throw new Error('TROCCO_EXPORT_DIR is not configured. Set it to enable writing exports to files.');
+  }
+
+  const safeName = basename(fileName).replace(/[^\w.\-぀-ヿ一-鿿]/g, '_');
+  const stem = safeName.slice(0, safeName.length - extname(safeName).length);
+  if (!stem || stem.startsWith('.')) {
+    throw new Error(`Invalid export file name "${fileName}"`);
+  }
+  const extension = FILE_EXTENSIONS[format];
+
+  await mkdir(exportDir, { recursive: true });
+  // Excelで日本語が文字化けしないよう、CSVにはBOMを付ける
+  const data = format === 'csv' ? `\uFEFF${content}` : content;
+  for (let attempt = 0; attempt < MAX_EXPORT_NAME_ATTEMPTS; attempt++) {
+    const path = join(exportDir, `${stem}${attempt === 0 ? '' : `-${attempt}`}${extension}`);
+    try {
+      await writeFile(path, data, { encoding: 'utf8', flag: 'wx' });
+      return path;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  throw new Error(`Too many existing exports named "${stem}${extension}" in ${exportDir}`);
+}
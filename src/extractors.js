@@ -0,0 +1,194 @@
+import { walkLeaves } from './fieldSearch.js';
+
+// コネクタ種別ごとの抽出関数。extract(option, side) は { locator, details } を返す
+const extractors = new Map();
+
+export function registerExtractor(types, extract, { system } = {}) {
+  for (const type of [].concat(types)) {
+    extractors.set(type, { system: system ?? type, extract });
+  }
+}
+
+export function registeredExtractorTypes() {
+  return Array.from(extractors.keys());
+}
+
+// input/outputの設定を { type, system, locator, details } に正規化する
+export function extractEndpoint(definition, side) {
+  const type = definition?.[`${side}_option_type`];
+  const option = findOption(definition, side, type);
+  if (!type || !option) {
+    return null;
+  }
+
+  const registered = extractors.get(type);
+  const extracted = registered ? registered.extract(option, side) : null;
+  if (extracted?.locator) {
+    return { type, system: registered.system, locator: extracted.locator, details: compact(extracted.details) };
+  }
+  return extractGeneric(type, option);
+}
+
+// `input_option.s3_input_option` 形式と、input_option直下に設定がある形式の両方に対応する
+function findOption(definition, side, type) {
+  const container = definition?.[`${side}_option`];
+  if (!container || typeof container !== 'object') {
+    return null;
+  }
+  const nested = type ? container[`${type}_${side}_option`] : undefined;
+  if (nested && typeof nested === 'object') {
+    return nested;
+  }
+  const anyNested = Object.entries(container).find(([key, value]) => key.endsWith(`_${side}_option`) && value && typeof value === 'object');
+  return anyNested ? anyNested[1] : container;
+}
+
+function compact(details = {}) {
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+function pick(option, ...keys) {
+  for (const key of keys) {
+    if (option[key] !== undefined && option[key] !== null && option[key] !== '') {
+      return option[key];
+    }
+  }
+  return undefined;
+}
+
+function joinPath(...parts) {
+  return parts.filter((part) => part !== undefined && part !== null && part !== '').join('.');
+}
+
+const GENERIC_KEYS = {
+  bucket: ['bucket', 'bucket_name', 'container'],
+  database: ['database', 'database_name', 'db', 'catalog'],
+  schema: ['schema', 'schema_name'],
+  table: ['table', 'table_name', 'table_id', 'object', 'object_name'],
+  path: ['path_prefix', 'path', 'prefix', 'key_prefix', 'file_path', 'directory'],
+  url: ['url', 'endpoint', 'spreadsheets_url'],
+};
+
+// 未対応のコネクタでも database/table/bucket/path らしいキーがあればロケーターを組み立てる
+export function extractGeneric(type, option) {
+  const found = {};
+  for (const [, key, value] of walkLeaves(option, '')) {
+    for (const [name, keys] of Object.entries(GENERIC_KEYS)) {
+      if (found[name] === undefined && keys.includes(key) && typeof value === 'string' && value) {
+        found[name] = value;
+      }
+    }
+  }
+
+  let locator = null;
+  if (found.url) {
+    locator = found.url;
+  } else if (found.bucket) {
+    locator = `${type}://${found.bucket}/${found.path ?? ''}`;
+  } else if (found.table || found.database) {
+    locator = `${type}://${joinPath(found.database, found.schema, found.table)}`;
+  } else if (found.path) {
+    locator = `${type}://${found.path}`;
+  }
+
+  return { type, system: type, locator, details: found };
+}
+
+const objectStorage = (scheme) => (option) => {
+  const bucket = pick(option, 'bucket', 'bucket_name', 'container');
+  const prefix = pick(option, 'path_prefix', 'prefix', 'key_prefix', 'path') ?? '';
+  return {
+    locator: bucket ? `${scheme}://${bucket}/${prefix}` : null,
+    details: { bucket, prefix, region: option.region },
+  };
+};
+
+registerExtractor('s3', objectStorage('s3'));
+registerExtractor('gcs', objectStorage('gs'));
+registerExtractor('azure_blob_storage', objectStorage('azure'));
+
+registerExtractor('snowflake', (option) => {
+  const database = pick(option, 'database');
+  const schema = pick(option, 'schema');
+  const table = pick(option, 'table');
+  // 引用符なしのSnowflake識別子は大文字で扱われるため、ロケーターも大文字にそろえる
+  const path = joinPath(database, schema, table).toUpperCase();
+  return {
+    locator: path ? `snowflake://${path}` : null,
+    details: { database, schema, table, warehouse: option.warehouse, query: option.query },
+  };
+});
+
+registerExtractor('bigquery', (option) => {
+  const project = pick(option, 'project_id', 'project');
+  const dataset = pick(option, 'dataset_id', 'dataset');
+  const table = pick(option, 'table_id', 'table');
+  const path = joinPath(project, dataset, table);
+  return {
+    locator: path ? `bigquery://${path}` : null,
+    details: { project_id: project, dataset_id: dataset, table_id: table, query: option.query },
+  };
+});
+
+const relationalDatabase = (scheme) => (option) => {
+  const database = pick(option, 'database', 'database_name', 'db');
+  const schema = pick(option, 'schema', 'schema_name');
+  const table = pick(option, 'table', 'table_name');
+  const path = joinPath(database, schema, table);
+  return {
+    locator: path ? `${scheme}://${path}` : null,
+    details: { database, schema, table, query: option.query },
+  };
+};
+
+registerExtractor('mysql', relationalDatabase('mysql'));
+registerExtractor(['postgresql', 'postgres'], relationalDatabase('postgresql'), { system: 'postgresql' });
+registerExtractor('redshift', relationalDatabase('redshift'));
+registerExtractor('sqlserver', relationalDatabase('sqlserver'));
+registerExtractor('oracle', relationalDatabase('oracle'));
+registerExtractor('databricks', relationalDatabase('databricks'));
+
+registerExtractor('salesforce', (option) => {
+  const object = pick(option, 'object', 'object_name', 'sobject');
+  return {
+    locator: object ? `salesforce://${object}` : null,
+    details: { object, soql: pick(option, 'soql', 'query') },
+  };
+});
+
+registerExtractor(['google_spreadsheets', 'google_sheets'], (option) => {
+  const url = pick(option, 'spreadsheets_url', 'spreadsheet_url');
+  const spreadsheetId = pick(option, 'spreadsheets_id', 'spreadsheet_id')
+    ?? url?.match(/spreadsheets\/d\/([^/]+)/)?.[1];
+  const worksheet = pick(option, 'worksheet_title', 'sheet_name', 'worksheet');
+  return {
+    locator: spreadsheetId ? `gsheets://${spreadsheetId}/${worksheet ?? ''}` : null,
+    details: { spreadsheet_id: spreadsheetId, worksheet, url },
+  };
+}, { system: 'google_spreadsheets' });
+
+registerExtractor('kintone', (option) => {
+  const domain = pick(option, 'domain', 'subdomain');
+  const appId = pick(option, 'app_id', 'app');
+  return {
+    locator: appId ? `kintone://${domain ? `${domain}/` : ''}${appId}` : null,
+    details: { domain, app_id: appId, query: option.query },
+  };
+});
+
+registerExtractor(['http', 'rest_api'], (option) => {
+  const url = pick(option, 'url', 'endpoint');
+  return {
+    locator: url ?? null,
+    details: { url, method: option.method },
+  };
+}, { system: 'http' });
+
+registerExtractor('sftp', (option) => {
+  const host = pick(option, 'host');
+  const path = pick(option, 'path_prefix', 'path') ?? '';
+  return {
+    locator: host || path ? `sftp://${host ?? ''}/${path.replace(/^\//, '')}` : null,
+    details: { host, path },
+  };
+});
@@ -0,0 +1,90 @@
+// フィールド指定検索で使える名前と、詳細ペイロード内で対応するキー
+const FIELD_KEYS = {
+  bucket: ['bucket', 'bucket_name'],
+  prefix: ['path_prefix', 'prefix', 'key_prefix', 'path', 'object_key'],
+  database: ['database', 'database_name', 'db'],
+  schema: ['schema', 'schema_name'],
+  table: ['table', 'table_name', 'table_id'],
+  dataset: ['dataset', 'dataset_id'],
+  project: ['project_id', 'project'],
+  warehouse: ['warehouse'],
+  query: ['query', 'sql'],
+};
+
+// 詳細ではなく一覧の項目そのものに対して判定するフィールド
+export const ITEM_FIELDS = ['name', 'description'];
+
+export const FIELD_SCOPES = {
+  input: ['input_option'],
+  output: ['output_option'],
+};
+
+export const DETAIL_FIELDS = [...Object.keys(FIELD_KEYS), 'variable'];
+
+export const SEARCH_FIELDS = [...DETAIL_FIELDS, ...ITEM_FIELDS];
+
+// termのtest(value)に一致したフィールドをすべて返す
+export function findFieldMatches(item, details, term) {
+  const found = [];
+  const push = (path, value) => {
+    found.push({ term: term.raw, field: term.scope ? `${term.scope}.${term.field}` : term.field, path, value });
+  };
+
+  if (ITEM_FIELDS.includes(term.field)) {
+    const value = item?.[term.field];
+    if (typeof value === 'string' && term.test(value)) {
+      push(term.field, value);
+    }
+    return found;
+  }
+
+  if (!details) {
+    return found;
+  }
+
+  if (term.field === 'variable') {
+    for (const [path, , value] of walkLeaves(details.custom_variable_settings, 'custom_variable_settings')) {
+      if (term.test(String(value))) {
+        push(path, value);
+      }
+    }
+    return found;
+  }
+
+  const keys = FIELD_KEYS[term.field];
+  const roots = term.scope ? FIELD_SCOPES[term.scope] : [...FIELD_SCOPES.input, ...FIELD_SCOPES.output];
+  // 入力・出力を持たないリソース（データマート、接続情報など）はペイロード全体から探す
+  if (!term.scope && !roots.some((root) => details[root])) {
+    roots.splice(0, roots.length, ...Object.keys(details));
+  }
+  for (const root of roots) {
+    for (const [path, key, value] of walkLeaves(details[root], root)) {
+      if (keys.includes(key) && term.test(String(value))) {
+        push(path, value);
+      }
+    }
+  }
+  return found;
+}
+
+// getByPathで辿れるドット区切りのパスと末端の値を列挙する
+export function* walkLeaves(value, path, key = path) {
+  if (value === null || value === undefined) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      yield* walkLeaves(value[i], `${path}[${i}]`, key);
+    }
+    return;
+  }
+  if (typeof value === 'object') {
+    for (const [childKey, child] of Object.entries(value)) {
+      yield* walkLeaves(child, `${path}.${childKey}`, childKey);
+    }
+    return;
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    yield [path, key, value];
+  }
+}
@@ -0,0 +1,252 @@
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/healthz';
+
+// リクエストボディの上限
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+// Hostヘッダー・Originから取り出したホスト名での表記（IPv6は角括弧付き）
+const LOOPBACK_HOSTNAMES = ['127.0.0.1', '[::1]', 'localhost'];
+
+class HttpError extends Error {
+  constructor(status, message, { code = -32000 } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Streamable HTTP（/mcp）と、古いクライアント向けのSSE（/sse、/messages）でMCPサーバーを公開する
+// 接続（セッション）ごとにcreateMcpServerでサーバーを作り、Bearerトークンで認証する
+// DNSリバインディング対策として、Hostヘッダーと（あれば）Originのホスト名を許可したものに限る
+export async function startHttpServer({ createMcpServer, host, port, authTokens = [], allowedHosts = [], sessionIdleMs = 0 }) {
+  if (authTokens.length === 0 && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`Refusing to listen on ${host} without TROCCO_MCP_AUTH_TOKENS. Set tokens or bind to 127.0.0.1.`);
+  }
+  if (authTokens.length === 0) {
+    console.error('[trocco-mcp] TROCCO_MCP_AUTH_TOKENS is not set; MCP clients are not authenticated');
+  }
+
+  const tokenDigests = authTokens.map(digest);
+  // セッションID → { transport, server, principal, lastActiveAt }
+  const sessions = new Map();
+  const permittedHosts = new Set([...(LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTNAMES : []), ...allowedHosts]);
+
+  const checkHost = (req) => {
+    if (permittedHosts.size === 0) {
+      return;
+    }
+    if (!permittedHosts.has(hostnameOf(`http://${req.headers.host ?? ''}`))) {
+      throw new HttpError(403, 'Forbidden: Host not allowed');
+    }
+    if (req.headers.origin && !permittedHosts.has(hostnameOf(req.headers.origin))) {
+      throw new HttpError(403, 'Forbidden: Origin not allowed');
+    }
+  };
+
+  const authenticate = (req) => {
+    if (tokenDigests.length === 0) {
+      return 'anonymous';
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+    const presented = match ? digest(match[1].trim()) : null;
+    const index = presented ? tokenDigests.findIndex((tokenDigest) => timingSafeEqual(tokenDigest, presented)) : -1;
+    if (index === -1) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+    return `token:${index}`;
+  };
+
+  // 他のトークンで作られたセッションは使わせない
+  const findSession = (sessionId, principal, Transport) => {
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session || session.principal !== principal || !(session.transport instanceof Transport)) {
+      throw new HttpError(404, 'Session not found');
+    }
+    session.lastActiveAt = Date.now();
+    return session;
+  };
+
+  const openSession = async (transport, principal) => {
+    const server = createMcpServer();
+    const session = { transport, server, principal, lastActiveAt: Date.now() };
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.get(transport.sessionId) === session) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+    await server.connect(transport);
+    return session;
+  };
+
+  const handleStreamableHttp = async (req, res, principal) => {
+    const sessionId = req.headers['mcp-session-id'];
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      if (!sessionId && isInitializeRequest(body)) {
+        let session;
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => sessions.set(id, session),
+        });
+        session = await openSession(transport, principal);
+        await transport.handleRequest(req, res, body);
+        return;
+      }
+      if (!sessionId) {
+        throw new HttpError(400, 'Bad Request: Mcp-Session-Id header is required', { code: -32600 });
+      }
+      await findSession(sessionId, principal, StreamableHTTPServerTransport).transport.handleRequest(req, res, body);
+      return;
+    }
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      await findSession(sessionId, principal, StreamableHTTPServerTransport).transport.handleRequest(req, res);
+      return;
+    }
+    throw new HttpError(405, 'Method not allowed');
+  };
+
+  const handleSse = async (req, res, principal) => {
+    if (req.method !== 'GET') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const session = await openSession(transport, principal);
+    sessions.set(transport.sessionId, session);
+  };
+
+  const handleSseMessage = async (req, res, principal, url) => {
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed');
+    }
+    const { transport } = findSession(url.searchParams.get('sessionId'), principal, SSEServerTransport);
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  const httpServer = createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url ?? '/', 'http://localhost');
+      checkHost(req);
+      // 認証なしで応答するため、セッションやプロファイルの情報は返さない
+      if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+
+      const principal = authenticate(req);
+      switch (url.pathname) {
+        case MCP_PATH:
+          await handleStreamableHttp(req, res, principal);
+          return;
+        case SSE_PATH:
+          await handleSse(req, res, principal);
+          return;
+        case SSE_MESSAGES_PATH:
+          await handleSseMessage(req, res, principal, url);
+          return;
+        default:
+          throw new HttpError(404, 'Not found');
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('[trocco-mcp] HTTP request failed:', error.message);
+      }
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const status = error instanceof HttpError ? error.status : 500;
+      sendJson(res, status, {
+        jsonrpc: '2.0',
+        error: { code: error instanceof HttpError ? error.code : -32603, message: status === 500 ? 'Internal server error' : error.message },
+        id: null,
+      }, status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  // 放置されたセッションのサーバーや変更通知のリスナーが残り続けないよう、一定時間使われていないものを閉じる
+  const sweepTimer = sessionIdleMs > 0
+    ? setInterval(() => {
+      const threshold = Date.now() - sessionIdleMs;
+      for (const [sessionId, session] of sessions) {
+        if (session.lastActiveAt < threshold) {
+          sessions.delete(sessionId);
+          session.server.close().catch((error) => {
+            console.error('[trocco-mcp] Failed to close idle session:', error.message);
+          });
+        }
+      }
+    }, Math.min(sessionIdleMs, 60000))
+    : null;
+  sweepTimer?.unref();
+
+  const address = httpServer.address();
+  console.error(`[trocco-mcp] Listening on http://${host}:${address.port}${MCP_PATH} (SSE: ${SSE_PATH})`);
+
+  return {
+    httpServer,
+    sessions,
+    // 新しい接続の受け付けを止め、すべてのセッションを閉じる
+    async close() {
+      if (sweepTimer) clearInterval(sweepTimer);
+      const closed = new Promise((resolve) => httpServer.close(resolve));
+      await Promise.allSettled(Array.from(sessions.values(), (session) => session.server.close()));
+      sessions.clear();
+      httpServer.closeIdleConnections();
+      await closed;
+    },
+  };
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function digest(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Parse error: invalid JSON', { code: -32700 });
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
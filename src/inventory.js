@@ -0,0 +1,62 @@
+import { userName } from './utils.js';
+
+// 集計の軸と、ジョブ定義（一覧の項目と、あれば詳細）から値を取り出す関数。ラベルのように複数の値を返す軸もある
+const INVENTORY_DIMENSIONS = {
+  input_type: ({ item, details }) => item.input_option_type ?? details?.input_option_type,
+  output_type: ({ item, details }) => item.output_option_type ?? details?.output_option_type,
+  pair: ({ item, details }) => {
+    const input = item.input_option_type ?? details?.input_option_type;
+    const output = item.output_option_type ?? details?.output_option_type;
+    return input || output ? `${input ?? '?'} → ${output ?? '?'}` : null;
+  },
+  created_by: ({ item, details }) => userName(item.created_by ?? details?.created_by),
+  label: ({ item, details }) => labelNames(item.labels ?? details?.labels),
+  created_month: ({ item, details }) => (item.created_at ?? details?.created_at)?.slice(0, 7),
+};
+
+export const INVENTORY_DIMENSION_NAMES = Object.keys(INVENTORY_DIMENSIONS);
+
+const NONE = '(none)';
+
+// ラベルは文字列の配列、または { name } の配列で返る
+function labelNames(labels) {
+  if (!Array.isArray(labels)) {
+    return null;
+  }
+  return labels.map((label) => (typeof label === 'object' ? label?.name : label)).filter(Boolean);
+}
+
+// ジョブ定義を軸ごとに数え、件数の多い順にtopN件を返す（作成月は月の順）
+export function buildInventory(entries, { dimensions = INVENTORY_DIMENSION_NAMES, topN = 10 } = {}) {
+  const result = { total: entries.length, dimensions: {} };
+
+  for (const dimension of dimensions) {
+    const counts = new Map();
+    for (const entry of entries) {
+      const raw = INVENTORY_DIMENSIONS[dimension](entry);
+      const values = Array.isArray(raw) ? raw : [raw];
+      for (const value of values.length > 0 ? values : [null]) {
+        const key = value === null || value === undefined || value === '' ? NONE : String(value);
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      }
+    }
+
+    const sorted = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort(dimension === 'created_month'
+        ? (left, right) => left.value.localeCompare(right.value)
+        : (left, right) => right.count - left.count || left.value.localeCompare(right.value));
+    const top = dimension === 'created_month' ? sorted.slice(-topN) : sorted.slice(0, topN);
+    const shown = new Set(top.map(({ value }) => value));
+
+    result.dimensions[dimension] = {
+      distinct: counts.size,
+      top: top.map(({ value, count }) => ({
+        value,
+        count,
+        share: entries.length > 0 ? Number((count / entries.length).toFixed(3)) : 0,
+      })),
+      otherCount: sorted.filter(({ value }) => !shown.has(value)).reduce((sum, { count }) => sum + count, 0),
+    };
+  }
+  return result;
+}
@@ -0,0 +1,213 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { JOB_CONTROL_ALLOWLIST } from './env.js';
+import { fetchJob, FAILED_JOB_STATUSES } from './jobs.js';
+
+export class JobControlError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'JobControlError';
+    this.code = code;
+  }
+}
+
+export const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+const RUNNING_JOB_STATUSES = ['queued', 'setting_up', 'executing'];
+const RERUNNABLE_JOB_STATUSES = [...FAILED_JOB_STATUSES, 'canceled'];
+
+// 確認トークンの署名鍵はプロセスごとに生成し、再起動で以前のトークンを無効にする
+const tokenSecret = randomBytes(32);
+
+// 使用中・使用済みのトークンのnonceと有効期限。トークンは1回だけ使える
+const usedNonces = new Map();
+
+// `123` はID、`daily_*` はワイルドカード、`/^prod_/` は正規表現として扱う
+// 正規表現として不正な項目は起動を妨げないよう除外し、invalidに記録する
+export function parseAllowlist(entries) {
+  const ids = new Set();
+  const patterns = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    if (/^\d+$/.test(entry)) {
+      ids.add(entry);
+    } else if (entry.length > 2 && entry.startsWith('/') && entry.endsWith('/')) {
+      try {
+        patterns.push(new RegExp(entry.slice(1, -1)));
+      } catch (error) {
+        invalid.push({ entry, message: error.message });
+      }
+    } else {
+      const escaped = entry.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      patterns.push(new RegExp(`^${escaped}$`));
+    }
+  }
+
+  return { ids, patterns, invalid };
+}
+
+const allowlist = parseAllowlist(JOB_CONTROL_ALLOWLIST);
+for (const { entry, message } of allowlist.invalid) {
+  console.warn(`[trocco-mcp] Ignoring invalid TROCCO_JOB_CONTROL_ALLOWLIST entry ${entry}: ${message}`);
+}
+
+export function isAllowed(definition, rules = allowlist) {
+  if (rules.ids.has(String(definition.id))) {
+    return true;
+  }
+  return typeof definition.name === 'string' && rules.patterns.some((pattern) => pattern.test(definition.name));
+}
+
+async function loadAllowedDefinition(client, jobDefinitionId, signal) {
+  const response = await client.request({ path: `job_definitions/${jobDefinitionId}`, method: 'GET', signal });
+  const definition = response.data ?? { id: jobDefinitionId };
+  if (!isAllowed({ id: jobDefinitionId, name: definition.name })) {
+    const ignored = allowlist.invalid.length > 0
+      ? ` (ignored invalid entries: ${allowlist.invalid.map(({ entry }) => entry).join(', ')})`
+      : '';
+    throw new JobControlError(
+      `Job definition ${jobDefinitionId}${definition.name ? ` (${definition.name})` : ''} is not in TROCCO_JOB_CONTROL_ALLOWLIST${ignored}`,
+      { code: 'not_allowed' },
+    );
+  }
+  return definition;
+}
+
+function toCustomVariables(overrides) {
+  return Object.entries(overrides ?? {}).map(([name, value]) => ({ name, value }));
+}
+
+// ジョブ定義の実行
+export async function planRun(client, { jobDefinitionId, customVariables, signal }) {
+  const definition = await loadAllowedDefinition(client, jobDefinitionId, signal);
+  const variables = toCustomVariables(customVariables);
+  return {
+    action: 'run',
+    target: { jobDefinitionId, name: definition.name },
+    request: {
+      path: 'jobs',
+      method: 'POST',
+      query: { job_definition_id: jobDefinitionId },
+      body: variables.length > 0 ? { custom_variables: variables } : {},
+    },
+  };
+}
+
+// 失敗したジョブを同じカスタム変数（と上書き分）で再実行
+export async function planRerun(client, { jobId, customVariables, signal }) {
+  const job = await fetchJob(client, jobId, { signal });
+  if (!RERUNNABLE_JOB_STATUSES.includes(job.status)) {
+    throw new JobControlError(
+      `Job ${jobId} is ${job.status}; only ${RERUNNABLE_JOB_STATUSES.join('/')} jobs can be re-run`,
+      { code: 'invalid_state' },
+    );
+  }
+
+  const definition = await loadAllowedDefinition(client, job.job_definition_id, signal);
+  const previous = Array.isArray(job.custom_variables) ? job.custom_variables : [];
+  const merged = new Map(previous.map((variable) => [variable.name, variable.value]));
+  for (const { name, value } of toCustomVariables(customVariables)) {
+    merged.set(name, value);
+  }
+  const variables = Array.from(merged, ([name, value]) => ({ name, value }));
+
+  return {
+    action: 'rerun',
+    target: { jobId, jobDefinitionId: job.job_definition_id, name: definition.name, previousStatus: job.status },
+    request: {
+      path: 'jobs',
+      method: 'POST',
+      query: { job_definition_id: job.job_definition_id },
+      body: variables.length > 0 ? { custom_variables: variables } : {},
+    },
+  };
+}
+
+// 実行中のジョブの停止
+export async function planCancel(client, { jobId, signal }) {
+  const job = await fetchJob(client, jobId, { signal });
+  if (!RUNNING_JOB_STATUSES.includes(job.status)) {
+    throw new JobControlError(
+      `Job ${jobId} is ${job.status}; only ${RUNNING_JOB_STATUSES.join('/')} jobs can be canceled`,
+      { code: 'invalid_state' },
+    );
+  }
+
+  const definition = await loadAllowedDefinition(client, job.job_definition_id, signal);
+  return {
+    action: 'cancel',
+    target: { jobId, jobDefinitionId: job.job_definition_id, name: definition.name, status: job.status },
+    request: {
+      path: `jobs/${jobId}/cancel`,
+      method: 'POST',
+    },
+  };
+}
+
+// 同じAPIホスト・同じIDでも別アカウントのトークンを使えないよう、プロファイルとベースURLも署名する
+function signPlan(plan, client, expiresAt, nonce) {
+  const payload = JSON.stringify([client.profile, client.baseUrl, plan.action, plan.request, expiresAt, nonce]);
+  return createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+}
+
+// プレビューで返したトークンは、同じプロファイル・同じ操作・同じリクエスト内容の場合に1回だけ有効
+export function createConfirmationToken(plan, client, now = Date.now()) {
+  const expiresAt = now + CONFIRMATION_TTL_MS;
+  const nonce = randomBytes(12).toString('base64url');
+  return {
+    token: `${client.profile}.${expiresAt}.${nonce}.${signPlan(plan, client, expiresAt, nonce)}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+// トークンを検証して使用中にする。実行されなかったことが確かな場合は戻り値のrelease()で再び使えるようにする
+export function verifyConfirmationToken(plan, token, client, now = Date.now()) {
+  const [profile, expiresAtText, nonce, signature] = String(token).split('.');
+  const expiresAt = Number(expiresAtText);
+  if (!profile || !nonce || !signature || !Number.isFinite(expiresAt)) {
+    throw new JobControlError('Malformed confirmation token', { code: 'invalid_token' });
+  }
+  if (profile !== client.profile) {
+    throw new JobControlError(
+      `Confirmation token was issued for profile "${profile}", not "${client.profile}". Run a preview with this profile.`,
+      { code: 'profile_mismatch' },
+    );
+  }
+  if (expiresAt < now) {
+    throw new JobControlError('Confirmation token has expired. Run a preview again.', { code: 'expired_token' });
+  }
+
+  const expected = Buffer.from(signPlan(plan, client, expiresAt, nonce));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new JobControlError(
+      'Confirmation token does not match this request. Run a preview with the same parameters and pass its token.',
+      { code: 'invalid_token' },
+    );
+  }
+
+  for (const [usedNonce, usedExpiresAt] of usedNonces) {
+    if (usedExpiresAt < now) usedNonces.delete(usedNonce);
+  }
+  if (usedNonces.has(nonce)) {
+    throw new JobControlError('Confirmation token has already been used. Run a preview again.', { code: 'used_token' });
+  }
+  usedNonces.set(nonce, expiresAt);
+  return { release: () => usedNonces.delete(nonce) };
+}
+
+// 4xxで拒否された、または送信前（レート制限の待機中など）に中断されたリクエストはTROCCOで実行されていない
+// タイムアウトや通信エラーは受け付けられた後の可能性があるため、実行されたかどうかは分からないものとする
+export function isNotExecuted(error) {
+  const status = error.response?.status;
+  if (status !== undefined) {
+    return status >= 400 && status < 500;
+  }
+  // 送信まで進んだリクエストのエラーにはrequestが入る
+  return error.request === undefined;
+}
+
+export async function executePlan(client, plan, { signal } = {}) {
+  const response = await client.request({ ...plan.request, signal });
+  return response.data;
+}
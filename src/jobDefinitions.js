@@ -0,0 +1,40 @@
+import { extractEndpoint } from './extractors.js';
+import { fetchResourceDetails, generateResourceUrl, webUrl } from './resourceTypes.js';
+
+// WebUIのURLを生成する関数
+export function generateJobDefinitionUrl(jobId, baseUrl) {
+  return generateResourceUrl('job_definition', { id: jobId }, baseUrl);
+}
+
+// ジョブ（実行履歴）のWebUIのURLを生成する関数
+export function generateJobUrl(jobId, baseUrl) {
+  return webUrl(`jobs/${jobId}`, baseUrl);
+}
+
+// 個別ジョブ定義の詳細を取得する関数
+export async function fetchJobDefinitionDetails(client, jobId) {
+  return fetchResourceDetails(client, 'job_definition', { id: jobId });
+}
+
+// 入力・出力の設定を { type, system, locator, details } に正規化する関数
+export function extractConfigDetails(details) {
+  return {
+    input: extractEndpoint(details, 'input'),
+    output: extractEndpoint(details, 'output'),
+  };
+}
+
+// 設定詳細を表示用にフォーマットする関数
+export function formatConfigDetails(config) {
+  const details = [];
+
+  for (const [label, endpoint] of [['入力', config.input], ['出力', config.output]]) {
+    if (!endpoint?.locator) continue;
+    const extras = ['warehouse', 'region']
+      .filter((key) => endpoint.details?.[key])
+      .map((key) => `${key}: ${endpoint.details[key]}`);
+    details.push(`${label}: ${endpoint.locator}${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`);
+  }
+
+  return details.length > 0 ? `\n   ${details.join('\n   ')}` : '';
+}
@@ -0,0 +1,149 @@
+import { generateJobDefinitionUrl, generateJobUrl } from './jobDefinitions.js';
+
+export const JOB_STATUSES = [
+  'queued',
+  'setting_up',
+  'executing',
+  'interrupting',
+  'succeeded',
+  'error',
+  'canceled',
+  'skipped',
+];
+
+export const FAILED_JOB_STATUSES = ['error'];
+
+const PAGE_LIMIT = 100;
+const MAX_PAGES = 20;
+
+const ERROR_MESSAGE_KEYS = ['error_message', 'message', 'error', 'errors'];
+const LOG_KEYS = ['log', 'logs', 'error_log', 'execution_log'];
+
+// ジョブの開始時刻（未開始なら作成時刻）
+export function jobTime(job) {
+  return job.started_at ?? job.created_at ?? null;
+}
+
+// 指定したジョブ定義のジョブ（実行履歴）を新しい順に取得し、ステータスと期間で絞り込む
+export async function listJobs(client, { jobDefinitionId, statuses, since, until, limit = 20, signal }) {
+  const sinceTime = since ? Date.parse(since) : null;
+  const untilTime = until ? Date.parse(until) : null;
+  const jobs = [];
+  let cursor = null;
+  let pages = 0;
+
+  while (jobs.length < limit && pages < MAX_PAGES) {
+    const filtered = statuses?.length || sinceTime !== null || untilTime !== null;
+    const query = { job_definition_id: jobDefinitionId, limit: filtered ? PAGE_LIMIT : Math.min(limit, PAGE_LIMIT) };
+    if (cursor) query.cursor = cursor;
+
+    const response = await client.request({ path: 'jobs', method: 'GET', query, signal });
+    pages += 1;
+    const items = response.data?.items || [];
+
+    let reachedOlder = false;
+    for (const job of items) {
+      const time = Date.parse(jobTime(job));
+      if (sinceTime !== null && time < sinceTime) {
+        reachedOlder = true;
+        continue;
+      }
+      if (untilTime !== null && time >= untilTime) continue;
+      if (statuses?.length && !statuses.includes(job.status)) continue;
+      jobs.push(job);
+      if (jobs.length >= limit) break;
+    }
+
+    cursor = response.data?.next_cursor;
+    // 新しい順に返るため、期間より古いジョブが出たらそれ以上は辿らない
+    if (!cursor || reachedOlder) break;
+  }
+
+  return jobs;
+}
+
+export async function fetchJob(client, jobId, { signal } = {}) {
+  const response = await client.request({ path: `jobs/${jobId}`, method: 'GET', signal });
+  return response.data;
+}
+
+// 一覧・詳細の表示に使うジョブの要約
+export function summarizeJob(job, { maxLogChars = 0, baseUrl } = {}) {
+  const summary = {
+    id: job.id,
+    job_definition_id: job.job_definition_id,
+    status: job.status,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    url: generateJobUrl(job.id, baseUrl),
+  };
+  if (job.job_definition_id !== undefined) {
+    summary.job_definition_url = generateJobDefinitionUrl(job.job_definition_id, baseUrl);
+  }
+
+  const errorMessage = firstPresent(job, ERROR_MESSAGE_KEYS);
+  if (errorMessage !== undefined) {
+    summary.error_message = typeof errorMessage === 'string' ? errorMessage : JSON.stringify(errorMessage);
+  }
+
+  if (maxLogChars > 0) {
+    const log = firstPresent(job, LOG_KEYS);
+    if (log !== undefined) {
+      const text = Array.isArray(log) ? log.join('\n') : String(log);
+      summary.log = text.length > maxLogChars ? `...${text.slice(-maxLogChars)}` : text;
+      summary.logTruncated = text.length > maxLogChars;
+    }
+  }
+
+  return summary;
+}
+
+function firstPresent(object, keys) {
+  for (const key of keys) {
+    const value = object?.[key];
+    if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+export function formatJobLine(job) {
+  const time = job.started_at ?? job.created_at ?? '-';
+  return `- #${job.id} ${job.status} (${time}${job.finished_at ? ` → ${job.finished_at}` : ''})\n  URL: ${job.url}` +
+    (job.error_message ? `\n  エラー: ${job.error_message}` : '');
+}
+
+// 各ジョブ定義の最新ジョブを並行して確認し、期間内に失敗したものを集める
+export async function findRecentFailures(client, definitions, { hours = 24, signal } = {}) {
+  const since = Date.now() - hours * 60 * 60 * 1000;
+  const failures = [];
+  const errors = [];
+
+  const latestJobs = await client.map(definitions, async (definition) => {
+    try {
+      const [latest] = await listJobs(client, { jobDefinitionId: definition.id, limit: 1, signal });
+      return latest;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      errors.push({ jobDefinitionId: definition.id, status: error.response?.status ?? null, message: error.message });
+      return undefined;
+    }
+  }, { signal });
+
+  definitions.forEach((definition, i) => {
+    const latest = latestJobs[i];
+    if (!latest || !FAILED_JOB_STATUSES.includes(latest.status)) return;
+    if (Date.parse(latest.finished_at ?? jobTime(latest)) < since) return;
+
+    failures.push({
+      job_definition_id: definition.id,
+      name: definition.name,
+      job_definition_url: generateJobDefinitionUrl(definition.id, client.baseUrl),
+      lastJob: summarizeJob(latest, { baseUrl: client.baseUrl }),
+    });
+  });
+
+  return { failures, errors, checked: definitions.length };
+}
@@ -0,0 +1,192 @@
+import { extractConfigDetails, generateJobDefinitionUrl } from './jobDefinitions.js';
+
+export const LINEAGE_DIRECTIONS = ['upstream', 'downstream', 'both'];
+
+// パスのプレフィックスで包含関係を判定するシステム
+const PREFIX_SYSTEMS = ['s3', 'gcs', 'azure_blob_storage', 'sftp'];
+
+// 全ジョブ定義から「データ → ジョブ → データ」の有向グラフを作る
+export function buildLineageGraph(definitions, { baseUrl } = {}) {
+  const nodes = new Map();
+  const edges = [];
+
+  for (const { item, details } of definitions) {
+    if (!details) continue;
+    const config = extractConfigDetails(details);
+    const inputs = config.input?.locator ? [config.input] : [];
+    const outputs = config.output?.locator ? [config.output] : [];
+    if (inputs.length === 0 && outputs.length === 0) continue;
+
+    const jobNodeId = `job:${item.id}`;
+    nodes.set(jobNodeId, {
+      id: jobNodeId,
+      kind: 'job',
+      jobDefinitionId: item.id,
+      label: item.name,
+      url: generateJobDefinitionUrl(item.id, baseUrl),
+    });
+
+    for (const { system, locator } of inputs) {
+      addDatasetNode(nodes, system, locator);
+      edges.push({ from: locator, to: jobNodeId });
+    }
+    for (const { system, locator } of outputs) {
+      addDatasetNode(nodes, system, locator);
+      edges.push({ from: jobNodeId, to: locator });
+    }
+  }
+
+  return { nodes, edges };
+}
+
+function addDatasetNode(nodes, system, locator) {
+  if (!nodes.has(locator)) {
+    nodes.set(locator, { id: locator, kind: 'dataset', system, label: locator });
+  }
+}
+
+// 指定したロケーターに一致するデータノードを探す。スキーム省略やオブジェクトストレージのプレフィックス包含も一致とみなす
+export function findDatasetNodes(graph, target) {
+  const needle = target.trim().toLowerCase();
+  const hasScheme = needle.includes('://');
+
+  return Array.from(graph.nodes.values()).filter((node) => {
+    if (node.kind !== 'dataset') return false;
+    const locator = node.id.toLowerCase();
+    const candidate = hasScheme ? locator : locator.slice(locator.indexOf('://') + 3);
+    if (candidate === needle) return true;
+    if (PREFIX_SYSTEMS.includes(node.system)) {
+      return candidate.startsWith(needle) || needle.startsWith(candidate);
+    }
+    return false;
+  });
+}
+
+// 上流（このデータを作るもの）・下流（このデータを使うもの）を推移的に辿る
+// オブジェクトストレージのプレフィックスが包含関係にあるデータは同じデータとみなし、ホップに数えずに辿る
+export function traceLineage(graph, startIds, { direction = 'both', maxDepth = 10 } = {}) {
+  const forward = new Map();
+  const backward = new Map();
+  for (const edge of graph.edges) {
+    if (!forward.has(edge.from)) forward.set(edge.from, []);
+    if (!backward.has(edge.to)) backward.set(edge.to, []);
+    forward.get(edge.from).push(edge);
+    backward.get(edge.to).push(edge);
+  }
+  const containing = new Map();
+  for (const edge of prefixEdges(graph)) {
+    for (const [nodeId, other] of [[edge.from, edge.to], [edge.to, edge.from]]) {
+      if (!containing.has(nodeId)) containing.set(nodeId, []);
+      containing.get(nodeId).push({ edge, other });
+    }
+  }
+
+  const visitedNodes = new Set(startIds);
+  const visitedEdges = new Set();
+
+  const withContaining = (nodeIds) => {
+    const result = [...nodeIds];
+    for (const nodeId of nodeIds) {
+      for (const { edge, other } of containing.get(nodeId) ?? []) {
+        visitedEdges.add(edge);
+        if (!visitedNodes.has(other)) {
+          visitedNodes.add(other);
+          result.push(other);
+        }
+      }
+    }
+    return result;
+  };
+
+  const walk = (adjacency, nextKey) => {
+    let frontier = withContaining(startIds);
+    // ジョブ→データの1段を1ホップとして数える
+    for (let depth = 0; depth < maxDepth * 2 && frontier.length > 0; depth++) {
+      const nextFrontier = [];
+      for (const nodeId of frontier) {
+        for (const edge of adjacency.get(nodeId) ?? []) {
+          visitedEdges.add(edge);
+          const neighbour = edge[nextKey];
+          if (!visitedNodes.has(neighbour)) {
+            visitedNodes.add(neighbour);
+            nextFrontier.push(neighbour);
+          }
+        }
+      }
+      frontier = withContaining(nextFrontier);
+    }
+  };
+
+  if (direction === 'upstream' || direction === 'both') {
+    walk(backward, 'from');
+  }
+  if (direction === 'downstream' || direction === 'both') {
+    walk(forward, 'to');
+  }
+
+  return {
+    nodes: Array.from(visitedNodes, (id) => graph.nodes.get(id)).filter(Boolean),
+    edges: Array.from(visitedEdges),
+  };
+}
+
+// プレフィックスが包含関係にあるデータノード同士を、外側から内側への辺で結ぶ
+function prefixEdges(graph) {
+  const datasets = Array.from(graph.nodes.values())
+    .filter((node) => node.kind === 'dataset' && PREFIX_SYSTEMS.includes(node.system));
+  const edges = [];
+  for (const outer of datasets) {
+    const prefix = outer.id.toLowerCase();
+    for (const inner of datasets) {
+      if (inner !== outer && inner.system === outer.system && inner.id.toLowerCase().startsWith(prefix)) {
+        edges.push({ from: outer.id, to: inner.id, kind: 'prefix' });
+      }
+    }
+  }
+  return edges;
+}
+
+// 指定したデータの上流・下流のジョブとグラフ、Mermaidの図をまとめて返す
+export function describeLineage(graph, target, { direction = 'both', maxDepth = 5 } = {}) {
+  const matchedNodes = findDatasetNodes(graph, target).map((node) => node.id);
+  const empty = { nodes: [], edges: [] };
+  const upstream = direction === 'downstream' ? empty : traceLineage(graph, matchedNodes, { direction: 'upstream', maxDepth });
+  const downstream = direction === 'upstream' ? empty : traceLineage(graph, matchedNodes, { direction: 'downstream', maxDepth });
+
+  const nodes = [...new Map([...upstream.nodes, ...downstream.nodes].map((node) => [node.id, node])).values()];
+  const edges = [...new Set([...upstream.edges, ...downstream.edges])];
+  const toJob = (node) => ({ id: node.jobDefinitionId, name: node.label, url: node.url });
+  return {
+    matchedNodes,
+    upstreamJobs: upstream.nodes.filter((node) => node.kind === 'job').map(toJob),
+    downstreamJobs: downstream.nodes.filter((node) => node.kind === 'job').map(toJob),
+    nodes,
+    edges,
+    mermaid: toMermaid({ nodes, edges }, matchedNodes),
+  };
+}
+
+// ドキュメントに貼り付けられるMermaidのflowchartを生成する
+export function toMermaid({ nodes, edges }, highlightIds = []) {
+  const ids = new Map(nodes.map((node, i) => [node.id, `${node.kind === 'job' ? 'j' : 'd'}${i}`]));
+  const escape = (text) => String(text).replace(/"/g, '#quot;');
+  const lines = ['flowchart LR'];
+
+  for (const node of nodes) {
+    const id = ids.get(node.id);
+    lines.push(node.kind === 'job'
+      ? `  ${id}["${escape(node.label)} (#${node.jobDefinitionId})"]`
+      : `  ${id}[("${escape(node.label)}")]`);
+  }
+  for (const edge of edges) {
+    // プレフィックスの包含関係は点線で示す
+    lines.push(`  ${ids.get(edge.from)} ${edge.kind === 'prefix' ? '-.-' : '-->'} ${ids.get(edge.to)}`);
+  }
+
+  const highlighted = highlightIds.map((id) => ids.get(id)).filter(Boolean);
+  if (highlighted.length > 0) {
+    lines.push('  classDef target fill:#fde68a,stroke:#b45309');
+    lines.push(`  class ${highlighted.join(',')} target`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,103 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { TROCCO_API_KEY, TROCCO_BASE_URL, TROCCO_CACHE_DIR, TROCCO_PROFILES_FILE } from './env.js';
+import { ResourceIndex } from './resourceIndex.js';
+import { RESOURCE_TYPE_NAMES } from './resourceTypes.js';
+import { SnapshotStore } from './snapshots.js';
+import { TroccoClient } from './troccoClient.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME_PATTERN = /^[\w-]+$/;
+
+export class ProfileError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'ProfileError';
+    this.code = code;
+  }
+}
+
+// プロファイル定義ファイルを読み込む。ファイルがなければ環境変数の1アカウントをdefaultプロファイルとする
+// { "defaultProfile": "production", "profiles": { "production": { "apiKeyEnv": "TROCCO_PROD_API_KEY", "baseUrl": "https://trocco.io/" } } }
+export function readProfileConfigs(filePath = TROCCO_PROFILES_FILE) {
+  if (!filePath) {
+    return {
+      defaultProfile: DEFAULT_PROFILE,
+      profiles: [{ name: DEFAULT_PROFILE, apiKey: TROCCO_API_KEY, baseUrl: TROCCO_BASE_URL, cacheDir: TROCCO_CACHE_DIR }],
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ProfileError(`Failed to read profiles file ${filePath}: ${error.message}`, { code: 'invalid_profiles_file' });
+  }
+
+  const entries = Object.entries(parsed?.profiles ?? {});
+  if (entries.length === 0) {
+    throw new ProfileError(`Profiles file ${filePath} defines no profiles`, { code: 'invalid_profiles_file' });
+  }
+
+  const profiles = entries.map(([name, profile]) => {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new ProfileError(`Invalid profile name "${name}". Use letters, digits, "_" and "-".`, { code: 'invalid_profiles_file' });
+    }
+    // APIキーはファイルに直接書くより、apiKeyEnvで環境変数名を指定する方が安全
+    const apiKey = (profile?.apiKeyEnv ? process.env[profile.apiKeyEnv] : profile?.apiKey)?.trim();
+    if (!apiKey) {
+      throw new ProfileError(`Profile "${name}" has no API key. Set apiKey or apiKeyEnv.`, { code: 'invalid_profiles_file' });
+    }
+    const baseUrl = profile.baseUrl ?? TROCCO_BASE_URL;
+    return {
+      name,
+      apiKey,
+      baseUrl: baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`,
+      cacheDir: join(TROCCO_CACHE_DIR, 'profiles', name),
+    };
+  });
+
+  const defaultProfile = parsed.defaultProfile ?? profiles[0].name;
+  if (!profiles.some((profile) => profile.name === defaultProfile)) {
+    throw new ProfileError(`defaultProfile "${defaultProfile}" is not defined in ${filePath}`, { code: 'invalid_profiles_file' });
+  }
+  return { defaultProfile, profiles };
+}
+
+// プロファイルごとのクライアント・インデックス・スナップショット
+export function createProfileContext({ name, apiKey, baseUrl, cacheDir }) {
+  const client = new TroccoClient({ profile: name, apiKey, baseUrl });
+  const indexes = Object.fromEntries(
+    RESOURCE_TYPE_NAMES.map((resourceType) => [resourceType, new ResourceIndex({ client, resourceType, cacheDir })]),
+  );
+  // スナップショットは定義（ジョブ・ワークフロー・データマート）のみ。接続情報は対象外
+  const snapshots = new SnapshotStore({
+    indexes: Object.fromEntries(Object.entries(indexes).filter(([resourceType]) => resourceType !== 'connection')),
+    dir: join(cacheDir, 'snapshots'),
+  });
+  return { name, client, indexes, index: indexes.job_definition, snapshots };
+}
+
+export class ProfileRegistry {
+  constructor({ defaultProfile, profiles }) {
+    this.defaultProfile = defaultProfile;
+    this.contexts = new Map(profiles.map((profile) => [profile.name, createProfileContext(profile)]));
+  }
+
+  names() {
+    return Array.from(this.contexts.keys());
+  }
+
+  all() {
+    return Array.from(this.contexts.values());
+  }
+
+  get(name = this.defaultProfile) {
+    const context = this.contexts.get(name ?? this.defaultProfile);
+    if (!context) {
+      throw new ProfileError(`Unknown profile "${name}". Available: ${this.names().join(', ')}`, { code: 'unknown_profile' });
+    }
+    return context;
+  }
+}
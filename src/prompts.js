@@ -0,0 +1,120 @@
+import { z } from 'zod';
+
+// よく使う調査の手順を、既存のツールを順に呼び出すプロンプトとして登録する
+export function registerPrompts(server, { profileNames = [] } = {}) {
+  const profileArg = z.string().optional()
+    .describe(`Trocco account profile passed to every tool call${profileNames.length > 1 ? ` (${profileNames.join(', ')})` : ''}`);
+
+  server.registerPrompt(
+    'impact_analysis',
+    {
+      title: 'Impact analysis for a table',
+      description: 'Find every job definition reading or writing a table/prefix, and whether any of them failed recently',
+      argsSchema: {
+        target: z.string().describe('Dataset locator, e.g. snowflake://DB.SCHEMA.TABLE, bigquery://project.dataset.table, s3://bucket/prefix'),
+        hours: z.string().optional().describe('How many hours of job history to check (default: 24)'),
+        profile: profileArg,
+      },
+    },
+    ({ target, hours = '24', profile }) => userPrompt([
+      `データ「${target}」を変更・停止した場合の影響範囲を調べてください。`,
+      '',
+      '手順:',
+      `1. trocco_lineage を target: "${target}", direction: "both" で呼び出し、上流・下流のジョブ定義を洗い出す`,
+      `2. trocco_batch_search を searchTerm: "${fieldQuery(target)}", enrich: "summary" で呼び出し、クエリや設定でこのデータを参照しているがリネージに現れない定義を補う`,
+      `3. trocco_recent_failures を hours: ${Number(hours) || 24} と、1・2で見つかった定義の名前を name:"定義名" の形で OR でつないだ searchTerm（例: name:"orders_daily" OR name:"orders_hourly"）で呼び出し、それらの定義のうち最近失敗したものを特定する`,
+      '4. 失敗していた定義は trocco_list_jobs で status: ["error"] の実行を取得し、trocco_get_job でエラー内容を確認する',
+      profileInstruction(profile),
+      '',
+      '回答の形式:',
+      '- 概要（影響する定義の件数、最近失敗した定義の有無）',
+      '- 上流のジョブ定義（名前・ID・URL）',
+      '- 下流のジョブ定義（名前・ID・URL）',
+      '- 最近失敗したジョブ（定義名、失敗日時、エラーの要約、ジョブURL）',
+      '- Mermaidのリネージ図',
+      '- 変更前に確認すべきこと',
+    ]),
+  );
+
+  server.registerPrompt(
+    'connector_onboarding',
+    {
+      title: 'Onboarding summary of a connector type',
+      description: 'Summarize how a connector type (e.g. s3, snowflake) is used across job definitions, with representative examples',
+      argsSchema: {
+        connectorType: z.string().describe('Input or output connector type, e.g. s3, mysql, snowflake, bigquery'),
+        profile: profileArg,
+      },
+    },
+    ({ connectorType, profile }) => userPrompt([
+      `新しくチームに加わったメンバー向けに、コネクタ「${connectorType}」の使われ方をまとめてください。`,
+      '',
+      '手順:',
+      '1. trocco_inventory を dimensions: ["pair", "created_by", "label"] で呼び出し、全体の中での位置づけをつかむ',
+      `2. trocco_batch_search を searchTerm: "input_type:${connectorType} OR output_type:${connectorType}", enrich: "summary", pageSize: 50 で呼び出し、このコネクタを使う定義の入出力設定を集める`,
+      '3. 代表的な定義を数件選び、必要であれば trocco_diff_definitions で設定の違いを比べる',
+      '4. trocco_audit を呼び出し、このコネクタを使う定義に関する指摘を拾う',
+      profileInstruction(profile),
+      '',
+      '回答の形式:',
+      '- 概要（定義の件数、入力・出力それぞれでの使われ方、よくある入出力の組み合わせ）',
+      '- よく使われる接続先（バケット・データベース・スキーマなど）',
+      '- 代表的な定義（名前・ID・URLと、参考になる理由）',
+      '- 主な作成者・ラベル',
+      '- 設定時の注意点（監査の指摘を含む）',
+    ]),
+  );
+
+  server.registerPrompt(
+    'cleanup_candidates',
+    {
+      title: 'Cleanup candidates',
+      description: 'List job definitions that are likely safe to delete or consolidate: stale, unscheduled, duplicated or constantly failing',
+      argsSchema: {
+        staleMonths: z.string().optional().describe('Months without updates before a definition counts as stale (default: TROCCO_AUDIT_STALE_MONTHS)'),
+        profile: profileArg,
+      },
+    },
+    ({ staleMonths, profile }) => userPrompt([
+      '削除や統合を検討できるジョブ定義の候補を洗い出してください。',
+      '',
+      '手順:',
+      `1. trocco_audit を rules: ["stale", "no_schedule", "duplicate_source_destination"]${Number(staleMonths) > 0 ? `, staleMonths: ${Number(staleMonths)}` : ''} で呼び出す`,
+      '2. trocco_duplicates を呼び出し、複製された定義のまとまりと代表の定義を確認する',
+      '3. trocco_recent_failures を hours: 168 で呼び出し、失敗し続けている定義を確認する',
+      '4. 候補ごとに、下流に影響がないか trocco_lineage で出力先を確認する',
+      profileInstruction(profile),
+      '',
+      '回答の形式:',
+      '- 候補の一覧（定義名・ID・URL、候補とした理由、推奨する対応: 削除 / 代表の定義に統合 / 担当者に確認）',
+      '- 下流に影響があるため慎重に扱うべき定義',
+      '- 判断に必要だが取得できなかった情報',
+      '',
+      '実際の削除や停止は行わず、候補の提示にとどめてください。',
+    ]),
+  );
+}
+
+function userPrompt(lines) {
+  return {
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: lines.filter((line) => line !== null).join('\n'),
+        },
+      },
+    ],
+  };
+}
+
+function profileInstruction(profile) {
+  return profile ? `※ すべてのツール呼び出しに profile: "${profile}" を指定してください` : null;
+}
+
+// ロケーターの末尾（テーブル名やプレフィックス）を、設定全体を対象にした検索クエリにする
+function fieldQuery(target) {
+  const name = target.replace(/^[a-z_]+:\/\//i, '').split(/[./]/).filter(Boolean).pop() ?? target;
+  return `table:${name} OR query:${name} OR prefix:${name}`;
+}
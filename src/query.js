@@ -0,0 +1,395 @@
+import { DETAIL_FIELDS, FIELD_SCOPES, ITEM_FIELDS, SEARCH_FIELDS, findFieldMatches } from './fieldSearch.js';
+import { DEFAULT_FUZZY_THRESHOLD, normalizeText, scoreText } from './textMatch.js';
+
+export class QuerySyntaxError extends Error {
+  constructor(message, { position, token } = {}) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+    this.token = token;
+  }
+}
+
+// 一覧の項目に対して判定するフィルタと、対応する項目のキー
+const FILTER_FIELDS = {
+  input_type: { key: 'input_option_type', exact: true },
+  output_type: { key: 'output_option_type', exact: true },
+  created_by: { key: 'created_by', exact: false },
+};
+
+const FILTER_ALIASES = {
+  input_option_type: 'input_type',
+  output_option_type: 'output_type',
+};
+
+const DATE_FIELDS = {
+  created: 'created_at',
+  updated: 'updated_at',
+};
+
+export const QUERY_FIELDS = [...SEARCH_FIELDS, ...Object.keys(FILTER_FIELDS), ...Object.keys(DATE_FIELDS)];
+
+// 詳細が未取得のため判定できないことを表す
+export const UNKNOWN = Symbol('unknown');
+
+// 通常語の一致スコアにかける、項目ごとの重み
+const TEXT_FIELD_WEIGHTS = {
+  name: 1,
+  description: 0.5,
+};
+
+// 検索クエリを構文木に変換する。構文エラーは位置付きのQuerySyntaxErrorになる
+export function parseQuery(input, { fuzzy = false, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD } = {}) {
+  const matchOptions = { fuzzy, threshold: fuzzyThreshold };
+  const tokens = tokenize(input);
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Search query is empty', { position: 0, token: '' });
+  }
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== 'RPAREN') {
+      if (peek().type === 'AND') {
+        next();
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.type === 'NOT') {
+      next();
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      const last = tokens[tokens.length - 1];
+      throw new QuerySyntaxError(`Expected a search term after "${last.raw}"`, {
+        position: last.position + last.raw.length,
+        token: last.raw,
+      });
+    }
+    if (token.type === 'LPAREN') {
+      const inner = parseOr();
+      if (peek()?.type !== 'RPAREN') {
+        throw new QuerySyntaxError('Missing closing ")"', { position: token.position, token: token.raw });
+      }
+      next();
+      return inner;
+    }
+    if (token.type === 'TERM') {
+      return toNode(token, matchOptions);
+    }
+    throw new QuerySyntaxError(`Unexpected "${token.raw}"`, { position: token.position, token: token.raw });
+  };
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new QuerySyntaxError(`Unexpected "${token.raw}"`, { position: token.position, token: token.raw });
+  }
+  return ast;
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'LPAREN' : 'RPAREN', raw: char, position: i });
+      i += 1;
+      continue;
+    }
+
+    if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT', raw: char, position: i });
+      i += 1;
+      continue;
+    }
+
+    const start = i;
+    let field = null;
+    const fieldMatch = /^([A-Za-z_.]+):(?!\/\/)/.exec(input.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1];
+      i += fieldMatch[0].length;
+    }
+
+    const value = readValue(input, i, start);
+    i = value.end;
+    const raw = input.slice(start, i);
+
+    if (!field && value.kind === 'word' && ['AND', 'OR', 'NOT'].includes(value.value)) {
+      tokens.push({ type: value.value, raw, position: start });
+      continue;
+    }
+
+    tokens.push({ type: 'TERM', raw, position: start, field, ...value });
+  }
+
+  return tokens;
+}
+
+function readValue(input, i, tokenStart) {
+  const char = input[i];
+
+  if (char === '"') {
+    const close = input.indexOf('"', i + 1);
+    if (close === -1) {
+      throw new QuerySyntaxError('Unterminated quoted phrase', { position: i, token: input.slice(tokenStart) });
+    }
+    return { kind: 'phrase', value: input.slice(i + 1, close), end: close + 1 };
+  }
+
+  if (char === '/') {
+    let j = i + 1;
+    while (j < input.length && input[j] !== '/') {
+      j += input[j] === '\\' ? 2 : 1;
+    }
+    if (j >= input.length) {
+      throw new QuerySyntaxError('Unterminated regular expression', { position: i, token: input.slice(tokenStart) });
+    }
+    const flagsMatch = /^[a-z]*/.exec(input.slice(j + 1));
+    return { kind: 'regex', value: input.slice(i + 1, j), flags: flagsMatch[0], end: j + 1 + flagsMatch[0].length };
+  }
+
+  let j = i;
+  while (j < input.length && !/[\s()]/.test(input[j])) {
+    j += 1;
+  }
+  if (j === i) {
+    throw new QuerySyntaxError('Expected a value after ":"', { position: i, token: input.slice(tokenStart, i) });
+  }
+  return { kind: 'word', value: input.slice(i, j), end: j };
+}
+
+function toNode(token, matchOptions) {
+  if (!token.field) {
+    return { type: 'text', raw: token.raw, kind: token.kind, test: createTest(token, matchOptions) };
+  }
+
+  const segments = token.field.toLowerCase().split('.');
+  const name = segments.pop();
+  const field = FILTER_ALIASES[name] ?? name;
+  const scope = segments.length === 1 && FIELD_SCOPES[segments[0]] ? segments[0] : null;
+  const invalidScope = segments.length > (scope ? 1 : 0) || (scope && !DETAIL_FIELDS.includes(field))
+    || (scope && field === 'variable');
+
+  if (!QUERY_FIELDS.includes(field) || invalidScope) {
+    throw new QuerySyntaxError(
+      `Unknown search field "${token.field}". Available fields: ${QUERY_FIELDS.join(', ')} (detail fields accept an input. or output. prefix)`,
+      { position: token.position, token: token.raw },
+    );
+  }
+
+  if (DATE_FIELDS[field]) {
+    return { type: 'date', raw: token.raw, field, key: DATE_FIELDS[field], ...parseDateRange(token) };
+  }
+
+  if (FILTER_FIELDS[field]) {
+    const { key, exact } = FILTER_FIELDS[field];
+    return { type: 'filter', raw: token.raw, field, key, test: createTest(token, { exact }) };
+  }
+
+  return {
+    type: 'field',
+    raw: token.raw,
+    scope,
+    field,
+    needsDetails: !ITEM_FIELDS.includes(field),
+    test: createTest(token, matchOptions),
+  };
+}
+
+// 値を受け取り一致度（0〜1、0は不一致）を返す関数を作る
+function createTest(token, { exact = false, fuzzy = false, threshold } = {}) {
+  if (token.kind === 'regex') {
+    let pattern;
+    try {
+      pattern = new RegExp(token.value, token.flags.includes('i') ? token.flags : `${token.flags}i`);
+    } catch (error) {
+      throw new QuerySyntaxError(`Invalid regular expression: ${error.message}`, {
+        position: token.position,
+        token: token.raw,
+      });
+    }
+    const matches = (value) => {
+      pattern.lastIndex = 0;
+      return pattern.test(value);
+    };
+    return (value) => (matches(value) || matches(normalizeText(value)) ? 1 : 0);
+  }
+
+  const needle = normalizeText(token.value);
+  return exact
+    ? (value) => (normalizeText(value) === needle ? 1 : 0)
+    : (value) => scoreText(needle, normalizeText(value), { fuzzy, threshold });
+}
+
+// `>=2024-01-01`, `<2025`, `2024-01..2024-03`, `2024-06` の形式を [from, to) の範囲にする
+function parseDateRange(token) {
+  const fail = () => {
+    throw new QuerySyntaxError(
+      `Invalid date filter "${token.value}". Use YYYY[-MM[-DD]] with >=, >, <=, < or a from..to range`,
+      { position: token.position, token: token.raw },
+    );
+  };
+
+  const period = (text) => {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(text);
+    if (!match) fail();
+    const [, year, month, day] = match.map((part) => (part === undefined ? undefined : Number(part)));
+    const start = Date.UTC(year, (month ?? 1) - 1, day ?? 1);
+    if (new Date(start).getUTCMonth() !== (month ?? 1) - 1 || new Date(start).getUTCDate() !== (day ?? 1)) fail();
+    const end = day !== undefined
+      ? Date.UTC(year, month - 1, day + 1)
+      : month !== undefined
+        ? Date.UTC(year, month, 1)
+        : Date.UTC(year + 1, 0, 1);
+    return { start, end };
+  };
+
+  const value = token.value;
+  const comparison = /^(>=|<=|>|<)(.+)$/.exec(value);
+  if (comparison) {
+    const { start, end } = period(comparison[2]);
+    switch (comparison[1]) {
+      case '>=': return { from: start, to: null };
+      case '>': return { from: end, to: null };
+      case '<=': return { from: null, to: end };
+      default: return { from: null, to: start };
+    }
+  }
+
+  if (value.includes('..')) {
+    const [fromText, toText] = value.split('..');
+    if (!fromText && !toText) fail();
+    return {
+      from: fromText ? period(fromText).start : null,
+      to: toText ? period(toText).end : null,
+    };
+  }
+
+  const { start, end } = period(value);
+  return { from: start, to: end };
+}
+
+// 構文木を評価し、一致すれば{score, highlights}、不一致ならfalse、詳細待ちならUNKNOWNを返す
+export function evaluateQuery(node, { item, details, textFields = ['name', 'description'] }) {
+  const context = { item, details, textFields };
+  switch (node.type) {
+    case 'and': {
+      const combined = { score: 0, highlights: [] };
+      let unknown = false;
+      for (const child of node.children) {
+        const result = evaluateQuery(child, context);
+        if (result === false) return false;
+        if (result === UNKNOWN) {
+          unknown = true;
+          continue;
+        }
+        combined.score += result.score;
+        combined.highlights.push(...result.highlights);
+      }
+      return unknown ? UNKNOWN : combined;
+    }
+    case 'or': {
+      const combined = { score: 0, highlights: [] };
+      let matched = false;
+      let unknown = false;
+      for (const child of node.children) {
+        const result = evaluateQuery(child, context);
+        if (result === UNKNOWN) {
+          unknown = true;
+        } else if (result !== false) {
+          matched = true;
+          combined.score = Math.max(combined.score, result.score);
+          combined.highlights.push(...result.highlights);
+        }
+      }
+      if (matched) return combined;
+      return unknown ? UNKNOWN : false;
+    }
+    case 'not': {
+      const result = evaluateQuery(node.child, context);
+      if (result === UNKNOWN) return UNKNOWN;
+      return result === false ? { score: 0, highlights: [] } : false;
+    }
+    case 'text': {
+      let score = 0;
+      for (const field of textFields) {
+        if (typeof item[field] === 'string') {
+          score = Math.max(score, node.test(item[field]) * (TEXT_FIELD_WEIGHTS[field] ?? 1));
+        }
+      }
+      return score > 0 ? { score, highlights: [] } : false;
+    }
+    case 'filter': {
+      const value = item[node.key];
+      if (value === undefined || value === null || !node.test(String(value))) return false;
+      return { score: 0, highlights: [{ term: node.raw, field: node.field, path: node.key, value }] };
+    }
+    case 'date': {
+      const time = Date.parse(item[node.key]);
+      if (Number.isNaN(time)) return false;
+      if (node.from !== null && time < node.from) return false;
+      if (node.to !== null && time >= node.to) return false;
+      return { score: 0, highlights: [{ term: node.raw, field: node.field, path: node.key, value: item[node.key] }] };
+    }
+    case 'field': {
+      if (node.needsDetails && details === undefined) return UNKNOWN;
+      const found = findFieldMatches(item, details, node);
+      if (found.length === 0) return false;
+      return {
+        score: Math.max(...found.map((match) => node.test(String(match.value)))),
+        highlights: found,
+      };
+    }
+    default:
+      return false;
+  }
+}
+
+// API側の name_contains 検索に使える語（否定やORの中にない通常語）を取り出す
+export function extractPositiveText(node) {
+  if (node.type === 'text' && node.kind !== 'regex') {
+    return [node.raw.replace(/^"|"$/g, '')];
+  }
+  if (node.type === 'and') {
+    return node.children.flatMap(extractPositiveText);
+  }
+  return [];
+}
+
+export function queryNeedsDetails(node) {
+  if (node.type === 'field') return node.needsDetails;
+  if (node.type === 'not') return queryNeedsDetails(node.child);
+  if (node.children) return node.children.some(queryNeedsDetails);
+  return false;
+}
@@ -0,0 +1,103 @@
+// 再試行してよいHTTPステータス（レート制限と一時的なサーバーエラー）
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// 同じリクエストを再送しても結果が変わらないメソッド
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// 一定の速度でトークンを補充し、トークンがない間はリクエストを待たせる
+export class TokenBucket {
+  constructor({ ratePerSecond, capacity = Math.max(1, Math.ceil(ratePerSecond)), now = () => Date.now() }) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.now = now;
+    this.updatedAt = now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const current = this.now();
+    const elapsed = Math.max(0, current - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+    this.updatedAt = current;
+  }
+
+  // トークンを1つ使えるまでの待ち時間（ミリ秒）
+  delayUntilAvailable() {
+    this.refill();
+    const pause = Math.max(0, this.pausedUntil - this.now());
+    if (this.tokens >= 1) {
+      return pause;
+    }
+    return Math.max(pause, Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+  }
+
+  async take(signal) {
+    for (;;) {
+      const delay = this.delayUntilAvailable();
+      if (delay === 0) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(delay, signal);
+    }
+  }
+
+  // サーバーからレート制限を通知されたら、その時刻まで全リクエストを止める
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+  }
+}
+
+// Retry-After（秒またはHTTP日付）を待ち時間（ミリ秒）に変換する
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Retry-After、またはRateLimit-Remainingが0のときのRateLimit-Resetから待ち時間を求める
+export function rateLimitDelay(headers = {}, now = Date.now()) {
+  const retryAfter = parseRetryAfter(headers['retry-after'], now);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+  const reset = Number(headers['x-ratelimit-reset'] ?? headers['ratelimit-reset']);
+  if (remaining === undefined || Number(remaining) > 0 || !Number.isFinite(reset)) {
+    return null;
+  }
+  // 大きな値はUNIX時刻（秒）、小さな値はリセットまでの秒数として扱う
+  return reset > 1e9 ? Math.max(0, reset * 1000 - now) : Math.max(0, reset * 1000);
+}
+
+// フルジッター付きの指数バックオフ
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new Error('Aborted'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,125 @@
+import { format } from 'node:util';
+import { MCP_AUTH_TOKENS, REDACT_EXTRA_KEYS, TROCCO_API_KEY, TROCCO_AUTH_HEADER, TROCCO_EXTRA_HEADERS } from './env.js';
+
+export const REDACTED = '********';
+
+// 値を伏せるキー。キー全体が一致するか、`_`・`-`区切りの末尾が一致するものを対象にする
+const SECRET_KEYS = [
+  'password',
+  'passphrase',
+  'secret',
+  'secret_key',
+  'secret_access_key',
+  'secretaccesskey',
+  'private_key',
+  'privatekey',
+  'api_key',
+  'apikey',
+  'token',
+  'access_token',
+  'accesstoken',
+  'refresh_token',
+  'refreshtoken',
+  'client_secret',
+  'clientsecret',
+  'credential',
+  'credentials',
+  'json_keyfile',
+  'keyfile',
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+];
+
+// 文字列中に現れたら伏せる値の最小の長さ（短い値は誤って伏せる箇所が多いため）
+const MIN_SECRET_VALUE_LENGTH = 8;
+
+const secretKeys = new Set([
+  ...SECRET_KEYS,
+  ...REDACT_EXTRA_KEYS,
+  (TROCCO_AUTH_HEADER || 'Authorization'),
+  ...Object.keys(TROCCO_EXTRA_HEADERS),
+].map((key) => key.toLowerCase()));
+
+const secretValues = new Set();
+
+// APIキーなど、キーに関係なく文字列から取り除く値を登録する
+export function registerSecretValue(value) {
+  if (typeof value === 'string' && value.trim().length >= MIN_SECRET_VALUE_LENGTH) {
+    secretValues.add(value.trim());
+  }
+}
+
+registerSecretValue(TROCCO_API_KEY);
+for (const value of [...Object.values(TROCCO_EXTRA_HEADERS), ...MCP_AUTH_TOKENS]) {
+  registerSecretValue(String(value));
+}
+
+export function isSecretKey(key) {
+  const normalized = String(key).toLowerCase();
+  if (secretKeys.has(normalized)) {
+    return true;
+  }
+  for (const secretKey of secretKeys) {
+    if (normalized.endsWith(`_${secretKey}`) || normalized.endsWith(`-${secretKey}`)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// 登録済みの秘密の値を伏せた文字列を返す
+export function redactText(text) {
+  if (typeof text !== 'string' || secretValues.size === 0) {
+    return text;
+  }
+  let result = text;
+  for (const value of secretValues) {
+    if (result.includes(value)) {
+      result = result.split(value).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+// パスワードや秘密鍵などのキーの値と、文字列中の秘密の値を伏せたコピーを返す
+export function maskSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSecrets);
+  }
+  if (value instanceof Map) {
+    return maskSecrets(Object.fromEntries(value));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        isSecretKey(key) && child !== null && child !== undefined ? REDACTED : maskSecrets(child),
+      ]),
+    );
+  }
+  return redactText(value);
+}
+
+// ツールの結果（テキストとstructuredContent）をまとめて伏せ字にする
+export function redactToolResult(result) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+  return {
+    ...result,
+    ...(Array.isArray(result.content)
+      ? { content: result.content.map((item) => (item?.type === 'text' ? { ...item, text: redactText(item.text) } : item)) }
+      : {}),
+    ...(result.structuredContent !== undefined ? { structuredContent: maskSecrets(result.structuredContent) } : {}),
+  };
+}
+
+// console.error/warn/log/infoの出力から秘密の値を取り除く
+export function redactConsole() {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactText(format(...args)));
+  }
+}
@@ -0,0 +1,349 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { TROCCO_CACHE_DIR } from './env.js';
+import { maskSecrets } from './redact.js';
+import { getResourceType, resourceKey } from './resourceTypes.js';
+import { SharedTask } from './scheduler.js';
+import { safeJsonStringify } from './utils.js';
+
+const INDEX_FILE_VERSION = 1;
+const PAGE_LIMIT = 100;
+const MAX_SYNC_PAGES = 1000;
+// 詳細の取得でこれらのステータスが返った定義は、定義が変わるまで取り直さない
+const PERMANENT_DETAIL_STATUSES = [403, 404];
+
+// リソースの一覧をローカルに保持し、検索時のAPI呼び出しを不要にするインデックス
+export class ResourceIndex {
+  constructor({ client, resourceType = 'job_definition', cacheDir = TROCCO_CACHE_DIR } = {}) {
+    if (!client) {
+      throw new Error('ResourceIndex requires a TroccoClient');
+    }
+
+    this.client = client;
+    this.resourceType = resourceType;
+    this.definition = getResourceType(resourceType);
+    this.filePath = join(cacheDir, this.definition.indexFile);
+    this.entries = new Map();
+    this.details = new Map();
+    this.syncedAt = null;
+    this.lastSyncStats = null;
+    this.lastSyncErrors = [];
+    // 403・404など、取り直しても取得できない詳細のキー
+    this.detailFailures = new Set();
+    this.syncTask = null;
+    this.refreshTimer = null;
+    this.changeListeners = new Set();
+  }
+
+  // 同期で定義の追加・更新・削除を検出したときに呼ばれるリスナーを登録する。戻り値で登録を解除する
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  isReady() {
+    return this.syncedAt !== null;
+  }
+
+  items() {
+    return Array.from(this.entries.values());
+  }
+
+  keyOf(item) {
+    return resourceKey(this.resourceType, item);
+  }
+
+  get(key) {
+    return this.entries.get(String(key));
+  }
+
+  getDetails(key) {
+    return this.details.get(String(key));
+  }
+
+  // 一覧全体の詳細が必要な処理向けに、未取得の詳細があれば詳細込みで同期してから返す
+  async ensureDetails({ signal } = {}) {
+    if (this.syncTask) {
+      await this.syncTask.join(signal).catch((error) => {
+        if (signal?.aborted) throw error;
+      });
+    }
+    if (!this.isReady() || this.missingDetailKeys().length > 0) {
+      await this.sync({ includeDetails: true, signal });
+    }
+    return this.items().map((item) => ({ item, details: this.getDetails(this.keyOf(item)) ?? null }));
+  }
+
+  status() {
+    return {
+      resourceType: this.resourceType,
+      path: this.filePath,
+      itemCount: this.entries.size,
+      detailCount: this.details.size,
+      detailFailureCount: this.detailFailures.size,
+      syncedAt: this.syncedAt,
+      ageMs: this.syncedAt ? Date.now() - Date.parse(this.syncedAt) : null,
+      syncing: this.syncTask !== null,
+      lastSyncStats: this.lastSyncStats,
+      lastSyncErrors: this.lastSyncErrors,
+    };
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (parseError) {
+      console.warn(`[trocco-mcp] Ignoring corrupt index file ${this.filePath}:`, parseError.message);
+      return false;
+    }
+    if (parsed?.version !== INDEX_FILE_VERSION || !Array.isArray(parsed.items)) {
+      return false;
+    }
+
+    this.entries = new Map(parsed.items.map((item) => [this.keyOf(item), item]));
+    // 伏せ字にする前の版で保存された詳細も、次の保存で伏せ字になるよう読み込み時に伏せ字にする
+    this.details = new Map(Object.entries(maskSecrets(parsed.details ?? {})));
+    this.syncedAt = parsed.syncedAt ?? null;
+    this.lastSyncStats = parsed.lastSyncStats ?? null;
+    this.lastSyncErrors = parsed.lastSyncErrors ?? [];
+    this.detailFailures = new Set(parsed.detailFailures ?? []);
+    return true;
+  }
+
+  async save() {
+    await mkdir(dirname(this.filePath), { recursive: true, mode: 0o700 });
+    const payload = {
+      version: INDEX_FILE_VERSION,
+      syncedAt: this.syncedAt,
+      lastSyncStats: this.lastSyncStats,
+      lastSyncErrors: this.lastSyncErrors,
+      items: this.items(),
+      details: this.details,
+      detailFailures: Array.from(this.detailFailures),
+    };
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, safeJsonStringify(payload, 0), { encoding: 'utf8', mode: 0o600 });
+    await rename(tempPath, this.filePath);
+  }
+
+  // 同時に複数のsyncが走らないよう、実行中の同期が求める内容を含んでいれば共有し、含んでいなければ終わった後に実行する
+  // 共有した同期は、待っている呼び出し元がすべて中断したときだけ中断する
+  sync({ full = false, includeDetails = false, signal } = {}) {
+    const running = this.syncTask;
+    if (running && !running.aborted && (running.options.full || !full) && (running.options.includeDetails || !includeDetails)) {
+      return running.join(signal);
+    }
+
+    const previous = running ? running.promise.catch(() => {}) : Promise.resolve();
+    const task = new SharedTask(async (sharedSignal) => {
+      await previous;
+      sharedSignal.throwIfAborted();
+      return this.runSync({ full, includeDetails, signal: sharedSignal });
+    });
+    task.options = { full, includeDetails };
+    this.syncTask = task;
+    task.promise.finally(() => {
+      if (this.syncTask === task) {
+        this.syncTask = null;
+      }
+    }).catch(() => {});
+    return task.join(signal);
+  }
+
+  // 詳細が未取得で、取得できないと分かっているものを除いたキー
+  missingDetailKeys() {
+    return Array.from(this.entries.keys()).filter((id) => !this.details.has(id) && !this.detailFailures.has(id));
+  }
+
+  async runSync({ full = false, includeDetails = false, signal } = {}) {
+    const startedAt = new Date();
+    const hadEntries = this.entries.size > 0;
+    const seen = new Map();
+    const errors = [];
+    let pages = 0;
+
+    let complete = true;
+
+    // 一覧（接続の種類など）ごとに並行して取得し、元の順序で統合する
+    const listed = await this.client.map(this.definition.listSources(), async ({ path, fields }) => {
+      const entries = [];
+      const sourceErrors = [];
+      let cursor = null;
+      let sourcePages = 0;
+
+      while (sourcePages < MAX_SYNC_PAGES) {
+        const query = { limit: PAGE_LIMIT };
+        if (cursor) query.cursor = cursor;
+
+        let response;
+        try {
+          response = await this.client.request({ path, method: 'GET', query, signal });
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          sourceErrors.push({
+            path,
+            page: sourcePages + 1,
+            cursor,
+            status: error.response?.status ?? null,
+            message: error.message,
+          });
+          break;
+        }
+
+        sourcePages += 1;
+        for (const item of response.data?.items || []) {
+          entries.push(fields ? { ...item, ...fields } : item);
+        }
+
+        cursor = response.data?.next_cursor;
+        if (!cursor) break;
+      }
+
+      return { entries, errors: sourceErrors, pages: sourcePages, complete: !cursor && sourceErrors.length === 0 };
+    }, { signal });
+
+    for (const source of listed) {
+      pages += source.pages;
+      errors.push(...source.errors);
+      if (!source.complete) complete = false;
+      for (const entry of source.entries) {
+        seen.set(this.keyOf(entry), entry);
+      }
+    }
+
+    const previous = this.entries;
+    const stats = { pages, added: 0, updated: 0, unchanged: 0, removed: 0, detailsFetched: 0, complete };
+    const next = new Map();
+    const changedIds = new Set();
+    const changes = { added: [], updated: [], removed: [] };
+
+    for (const [id, item] of seen) {
+      const existing = previous.get(id);
+      if (!existing) {
+        stats.added += 1;
+        changedIds.add(id);
+        changes.added.push(id);
+      } else if (isChanged(existing, item)) {
+        stats.updated += 1;
+        changedIds.add(id);
+        changes.updated.push(id);
+      } else {
+        stats.unchanged += 1;
+      }
+      next.set(id, item);
+    }
+
+    // 一覧を最後まで取得できなかった場合は、未取得分を削除扱いにせず残す
+    for (const [id, item] of previous) {
+      if (seen.has(id)) continue;
+      if (complete) {
+        stats.removed += 1;
+        changes.removed.push(id);
+      } else {
+        next.set(id, item);
+      }
+    }
+
+    if (pages > 0) {
+      this.entries = next;
+      this.syncedAt = startedAt.toISOString();
+    }
+
+    for (const id of this.details.keys()) {
+      if (!this.entries.has(id) || changedIds.has(id)) {
+        this.details.delete(id);
+      }
+    }
+    // 取得できなかった詳細も、定義が変わっていれば取り直す
+    for (const id of this.detailFailures) {
+      if (!this.entries.has(id) || changedIds.has(id)) {
+        this.detailFailures.delete(id);
+      }
+    }
+
+    // 詳細は追加・更新された定義と未取得の定義のみ取り直す
+    // fullの場合はすべて取り直すが、取り直せるまでは前回の詳細を残す
+    if (includeDetails) {
+      const targets = full ? Array.from(this.entries.keys()) : this.missingDetailKeys();
+      await this.client.map(targets, async (id) => {
+        try {
+          const response = await this.client.request({ path: this.definition.detailPath(this.entries.get(id)), method: 'GET', signal });
+          // キャッシュファイルに秘密情報を残さないよう、伏せ字にしてから保持する
+          this.details.set(id, maskSecrets(response.data));
+          this.detailFailures.delete(id);
+          stats.detailsFetched += 1;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          if (PERMANENT_DETAIL_STATUSES.includes(error.response?.status)) {
+            this.details.delete(id);
+            this.detailFailures.add(id);
+          }
+          errors.push({
+            id,
+            status: error.response?.status ?? null,
+            message: error.message,
+          });
+        }
+      }, { signal }).catch((error) => {
+        // 中断された場合も、取得済みの詳細は保存する
+        if (!signal?.aborted) throw error;
+      });
+    }
+    this.lastSyncStats = { ...stats, durationMs: Date.now() - startedAt.getTime() };
+    this.lastSyncErrors = errors;
+    await this.save();
+
+    // 初回の同期（前回の一覧がない状態）は変更として通知しない
+    if (hadEntries && changes.added.length + changes.updated.length + changes.removed.length > 0) {
+      for (const listener of this.changeListeners) {
+        try {
+          listener(changes);
+        } catch (error) {
+          console.error('[trocco-mcp] Index change listener failed:', error.message);
+        }
+      }
+    }
+
+    return this.lastSyncStats;
+  }
+
+  startAutoRefresh(intervalMs, syncOptions = {}) {
+    this.stopAutoRefresh();
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      return;
+    }
+
+    const refresh = () => {
+      this.sync(syncOptions).catch((error) => {
+        console.error('[trocco-mcp] Scheduled index sync failed:', error.message);
+      });
+    };
+    this.refreshTimer = setInterval(refresh, intervalMs);
+    this.refreshTimer.unref?.();
+  }
+
+  stopAutoRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+function isChanged(previous, next) {
+  if (previous.updated_at !== undefined || next.updated_at !== undefined) {
+    return previous.updated_at !== next.updated_at;
+  }
+  return safeJsonStringify(previous, 0) !== safeJsonStringify(next, 0);
+}
@@ -0,0 +1,89 @@
+import { TtlCache } from './cache.js';
+import { DETAIL_CACHE_TTL_MS, TROCCO_BASE_URL, TROCCO_CONNECTION_TYPES } from './env.js';
+
+// 検索・インデックス対象のリソース種別。一覧・詳細のAPIパスとWebUIのパスを持つ
+export const RESOURCE_TYPES = {
+  job_definition: {
+    label: '転送設定',
+    indexFile: 'job_definitions.json',
+    listSources: () => [{ path: 'job_definitions' }],
+    detailPath: (item) => `job_definitions/${item.id}`,
+    webPath: (item) => `job_definitions/${item.id}`,
+    supportsNameContains: true,
+  },
+  pipeline_definition: {
+    label: 'ワークフロー',
+    indexFile: 'pipeline_definitions.json',
+    listSources: () => [{ path: 'pipeline_definitions' }],
+    detailPath: (item) => `pipeline_definitions/${item.id}`,
+    webPath: (item) => `pipeline_definitions/${item.id}`,
+  },
+  datamart_definition: {
+    label: 'データマート',
+    indexFile: 'datamart_definitions.json',
+    listSources: () => [{ path: 'datamart_definitions' }],
+    detailPath: (item) => `datamart_definitions/${item.id}`,
+    webPath: (item) => `datamart_definitions/${item.id}`,
+  },
+  // 接続情報は種類ごとに別のエンドポイントになっているため、種類ごとに一覧を取得する
+  connection: {
+    label: '接続情報',
+    indexFile: 'connections.json',
+    listSources: () => TROCCO_CONNECTION_TYPES.map((type) => ({ path: `connections/${type}`, fields: { connection_type: type } })),
+    detailPath: (item) => `connections/${item.connection_type}/${item.id}`,
+    webPath: (item) => `connections/${item.connection_type}/${item.id}`,
+    key: (item) => `${item.connection_type}/${item.id}`,
+  },
+};
+
+export const RESOURCE_TYPE_NAMES = Object.keys(RESOURCE_TYPES);
+
+export function getResourceType(name) {
+  const resourceType = RESOURCE_TYPES[name];
+  if (!resourceType) {
+    throw new Error(`Unknown resource type "${name}". Available: ${RESOURCE_TYPE_NAMES.join(', ')}`);
+  }
+  return resourceType;
+}
+
+// インデックスや重複排除に使う、種別内で一意なキー
+export function resourceKey(name, item) {
+  const resourceType = getResourceType(name);
+  return resourceType.key ? resourceType.key(item) : String(item.id);
+}
+
+// APIのベースURL（デフォルトはTROCCO_BASE_URL）から/apiを取り除いてWebUIのベースURLを作成
+export function webUrl(path, baseUrl = TROCCO_BASE_URL) {
+  const webBaseUrl = baseUrl.replace(/\/api\/?$/, '').replace(/\/$/, '');
+  return `${webBaseUrl}/${path}`;
+}
+
+// WebUIのURLを生成する関数
+export function generateResourceUrl(name, item, baseUrl) {
+  return webUrl(getResourceType(name).webPath(item), baseUrl);
+}
+
+// 繰り返しの検索で同じ詳細を取り直さないためのキャッシュ
+export const detailCache = new TtlCache({ ttlMs: DETAIL_CACHE_TTL_MS });
+
+// 個別リソースの詳細を取得する関数（失敗時は例外を投げる）
+// 一覧のupdated_atがキャッシュした詳細と異なる場合は取り直す
+// 同じURLでもアカウントが異なれば内容が違うため、キーにはプロファイル名を含める
+export async function requestResourceDetails(client, name, item, { signal } = {}) {
+  const path = getResourceType(name).detailPath(item);
+  return detailCache.getOrLoad(
+    `${client.profile}:${client.baseUrl}${path}`,
+    async (sharedSignal) => (await client.request({ path, method: 'GET', signal: sharedSignal })).data,
+    { isStale: (details) => Boolean(item.updated_at && details?.updated_at && item.updated_at !== details.updated_at), signal },
+  );
+}
+
+// 表示用に詳細を取得する関数（失敗時はnull）
+export async function fetchResourceDetails(client, name, item) {
+  try {
+    return await requestResourceDetails(client, name, item);
+  } catch (error) {
+    console.error(`Failed to fetch details for ${name} ${resourceKey(name, item)}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,275 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { extractConfigDetails, generateJobDefinitionUrl } from './jobDefinitions.js';
+import { buildLineageGraph, describeLineage } from './lineage.js';
+import { maskSecrets } from './redact.js';
+import { requestResourceDetails } from './resourceTypes.js';
+import { safeJsonStringify } from './utils.js';
+
+const JOB_DEFINITION_TEMPLATE = new UriTemplate('trocco://job_definitions/{id}');
+const LINEAGE_TEMPLATE = new UriTemplate('trocco://lineage/{locator}');
+// デフォルト以外のプロファイルは、URIの先頭にプロファイル名を付けて指定する
+const PROFILE_JOB_DEFINITION_TEMPLATE = new UriTemplate('trocco://{profile}/job_definitions/{id}');
+const PROFILE_LINEAGE_TEMPLATE = new UriTemplate('trocco://{profile}/lineage/{locator}');
+
+// resources/listで1回に返す件数
+const RESOURCE_PAGE_SIZE = 100;
+const MAX_COMPLETIONS = 100;
+
+export function jobDefinitionUri(id, profile = null) {
+  return profile
+    ? PROFILE_JOB_DEFINITION_TEMPLATE.expand({ profile, id: String(id) })
+    : JOB_DEFINITION_TEMPLATE.expand({ id: String(id) });
+}
+
+export function lineageUri(locator, profile = null) {
+  return profile ? PROFILE_LINEAGE_TEMPLATE.expand({ profile, locator }) : LINEAGE_TEMPLATE.expand({ locator });
+}
+
+// ジョブ定義とリネージをMCPのリソースとして公開する
+// プロファイルを含まないURIはデフォルトのプロファイル、trocco://{profile}/...はそのプロファイルを対象にする
+// 戻り値は変更通知の登録を解除する関数
+export function registerResources(server, profiles) {
+  const subscriptions = new Set();
+  const contextOf = (profile) => {
+    if (profile === undefined) {
+      return profiles.get();
+    }
+    const name = decodeVariable(profile);
+    if (!profiles.names().includes(name)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown profile "${name}". Available: ${profiles.names().join(', ')}`);
+    }
+    return profiles.get(name);
+  };
+  // 補完では未知のプロファイルをエラーにせず、候補なしとする
+  const completionIndex = (context) => {
+    try {
+      return contextOf(context?.arguments?.profile).index;
+    } catch {
+      return null;
+    }
+  };
+  const completeProfile = (value) => profiles.names().filter((name) => name.startsWith(value));
+  const completeId = (value, context) => {
+    const index = completionIndex(context);
+    if (!index) {
+      return [];
+    }
+    return index.items()
+      .map((item) => String(item.id))
+      .filter((id) => id.startsWith(value))
+      .slice(0, MAX_COMPLETIONS);
+  };
+  // 補完は取得済みの詳細だけから作り、APIは呼ばない
+  const completeLocator = (value, context) => {
+    const index = completionIndex(context);
+    if (!index) {
+      return [];
+    }
+    const needle = value.toLowerCase();
+    const graph = buildLineageGraph(localDefinitions(index));
+    return Array.from(graph.nodes.values())
+      .filter((node) => node.kind === 'dataset' && node.id.toLowerCase().includes(needle))
+      .map((node) => node.id)
+      .slice(0, MAX_COMPLETIONS);
+  };
+
+  const readJobDefinition = async (uri, { profile, id: rawId }, extra) => {
+    const { client, index } = contextOf(profile);
+    const id = decodeVariable(rawId);
+    const item = index.get(id) ?? { id };
+    let details = index.getDetails(id);
+    if (!details) {
+      try {
+        details = await requestResourceDetails(client, 'job_definition', item, { signal: extra?.signal });
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new McpError(ErrorCode.InvalidParams, `Job definition ${id} not found`);
+        }
+        throw error;
+      }
+    }
+    return jsonContents(uri, {
+      id: details.id ?? item.id,
+      name: details.name ?? item.name,
+      url: generateJobDefinitionUrl(details.id ?? item.id, client.baseUrl),
+      config: extractConfigDetails(details),
+      details,
+    });
+  };
+
+  const readLineage = async (uri, { profile, locator }, extra) => {
+    const { client, index } = contextOf(profile);
+    const target = decodeVariable(locator);
+    const definitions = await index.ensureDetails({ signal: extra?.signal });
+    const lineage = describeLineage(buildLineageGraph(definitions, { baseUrl: client.baseUrl }), target);
+    if (lineage.matchedNodes.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, `No job definition reads or writes ${target}`);
+    }
+    return jsonContents(uri, { target, ...lineage });
+  };
+
+  const jobDefinitionMetadata = {
+    title: 'Trocco job definition',
+    description: 'Job definition details with the input/output config normalized to { type, system, locator, details }',
+    mimeType: 'application/json',
+  };
+  const lineageMetadata = {
+    title: 'Trocco data lineage',
+    description: 'Job definitions upstream and downstream of a dataset locator (URL-encoded, e.g. snowflake%3A%2F%2FDB.SCHEMA.TABLE)',
+    mimeType: 'application/json',
+  };
+
+  // 一覧は下のresources/listのハンドラーでページ分割して返す
+  server.registerResource(
+    'job_definition',
+    new ResourceTemplate(JOB_DEFINITION_TEMPLATE, { list: undefined, complete: { id: completeId } }),
+    jobDefinitionMetadata,
+    readJobDefinition,
+  );
+  server.registerResource(
+    'lineage',
+    new ResourceTemplate(LINEAGE_TEMPLATE, { list: undefined, complete: { locator: completeLocator } }),
+    lineageMetadata,
+    readLineage,
+  );
+  server.registerResource(
+    'profile_job_definition',
+    new ResourceTemplate(PROFILE_JOB_DEFINITION_TEMPLATE, { list: undefined, complete: { profile: completeProfile, id: completeId } }),
+    { ...jobDefinitionMetadata, title: 'Trocco job definition (profile)' },
+    readJobDefinition,
+  );
+  server.registerResource(
+    'profile_lineage',
+    new ResourceTemplate(PROFILE_LINEAGE_TEMPLATE, { list: undefined, complete: { profile: completeProfile, locator: completeLocator } }),
+    { ...lineageMetadata, title: 'Trocco data lineage (profile)' },
+    readLineage,
+  );
+
+  // SDKの既定のresources/listはページ分割しないため、インデックスの一覧をcursorで区切って返すものに置き換える
+  // 一覧に含めるのはデフォルトのプロファイルの定義のみ
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    const { index } = profiles.get();
+    if (!index.isReady()) {
+      await index.sync({ signal: extra?.signal });
+    }
+    const items = index.items();
+    const offset = decodeCursor(request.params?.cursor);
+    const page = items.slice(offset, offset + RESOURCE_PAGE_SIZE);
+    const nextOffset = offset + page.length;
+    return {
+      resources: page.map((item) => ({
+        uri: jobDefinitionUri(item.id),
+        name: item.name ?? `job_definition_${item.id}`,
+        ...(item.description ? { description: item.description } : {}),
+        mimeType: 'application/json',
+      })),
+      ...(nextOffset < items.length ? { nextCursor: encodeCursor(nextOffset) } : {}),
+    };
+  });
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  // 同期で定義の増減を検出したら一覧の変更を、購読中のリソースに関わる変更があれば更新を通知する
+  const unsubscribers = profiles.names().map((name) => profiles.get(name).index.onChange(({ added, updated, removed }) => {
+    if (!server.isConnected()) {
+      return;
+    }
+    if (name === profiles.defaultProfile && (added.length > 0 || removed.length > 0)) {
+      server.sendResourceListChanged();
+    }
+    const changed = new Set([...added, ...updated, ...removed].map(String));
+    for (const uri of subscriptions) {
+      const resource = parseResourceUri(uri);
+      if (!resource || (resource.profile ?? profiles.defaultProfile) !== name) {
+        continue;
+      }
+      // リネージはどの定義の変更でも変わりうる
+      if (resource.kind === 'lineage' || changed.has(resource.id)) {
+        server.server.sendResourceUpdated({ uri }).catch((error) => {
+          console.error('[trocco-mcp] Failed to send resource update:', error.message);
+        });
+      }
+    }
+  }));
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
+// 購読中のURIがどのプロファイルのどのリソースかを調べる
+function parseResourceUri(uri) {
+  for (const [kind, template] of [
+    ['job_definition', JOB_DEFINITION_TEMPLATE],
+    ['lineage', LINEAGE_TEMPLATE],
+    ['job_definition', PROFILE_JOB_DEFINITION_TEMPLATE],
+    ['lineage', PROFILE_LINEAGE_TEMPLATE],
+  ]) {
+    const variables = template.match(uri);
+    if (!variables) {
+      continue;
+    }
+    try {
+      const decode = (value) => (value === undefined ? null : decodeVariable(value));
+      return { kind, profile: decode(variables.profile), id: decode(variables.id) };
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// SDKのUriTemplate.matchはパーセントエンコードされたままの値を返すため、ここで1回だけデコードする
+function decodeVariable(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid percent-encoding in resource URI: ${value}`);
+  }
+}
+
+function localDefinitions(index) {
+  return index.items()
+    .map((item) => ({ item, details: index.getDetails(index.keyOf(item)) }))
+    .filter(({ details }) => details);
+}
+
+function jsonContents(uri, value) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: safeJsonStringify(maskSecrets(value)),
+      },
+    ],
+  };
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+  const offset = Number(Buffer.from(cursor, 'base64url').toString());
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new McpError(ErrorCode.InvalidParams, 'Invalid resources/list cursor');
+  }
+  return offset;
+}
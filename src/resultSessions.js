@@ -0,0 +1,80 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { RESULT_SESSION_TTL_MS } from './env.js';
+
+export class ResultSessionError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'ResultSessionError';
+    this.code = code;
+  }
+}
+
+// 検索条件を順序に依存しない文字列にしてハッシュ化する
+export function searchParamsKey(params) {
+  const normalized = Object.keys(params)
+    .sort()
+    .map((key) => [key, params[key]]);
+  return createHash('sha256').update(JSON.stringify(normalized)).digest('base64url').slice(0, 16);
+}
+
+// 検索結果をしばらく保持し、続きのページを再検索なしで返すためのセッション
+export class ResultSessionStore {
+  constructor({ ttlMs = RESULT_SESSION_TTL_MS, maxSessions = 20, now = () => Date.now() } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxSessions = maxSessions;
+    this.now = now;
+    this.sessions = new Map();
+  }
+
+  create(params, result) {
+    this.prune();
+    const id = randomBytes(9).toString('base64url');
+    const session = { id, paramsKey: searchParamsKey(params), result, expiresAt: this.now() + this.ttlMs };
+    this.sessions.set(id, session);
+
+    // 上限を超えたら古いセッションから捨てる
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return session;
+  }
+
+  // 続きのページのカーソル（セッションIDと開始位置）
+  cursorFor(session, offset) {
+    return `${session.id}.${offset}`;
+  }
+
+  // カーソルが指すセッションを取り出す。検索条件が異なる場合や期限切れの場合はエラー
+  resume(cursor, params) {
+    this.prune();
+    const [id, offsetText] = String(cursor).split('.');
+    const offset = Number(offsetText);
+    if (!id || !Number.isInteger(offset) || offset < 0) {
+      throw new ResultSessionError('Malformed cursor', { code: 'invalid_cursor' });
+    }
+
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new ResultSessionError('The search session for this cursor has expired. Run the search again without cursor.', {
+        code: 'expired_cursor',
+      });
+    }
+    if (session.paramsKey !== searchParamsKey(params)) {
+      throw new ResultSessionError('The cursor belongs to a search with different parameters. Pass the same parameters as the original search.', {
+        code: 'cursor_mismatch',
+      });
+    }
+
+    session.expiresAt = this.now() + this.ttlMs;
+    return { session, offset };
+  }
+
+  prune() {
+    const now = this.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
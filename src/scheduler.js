@@ -0,0 +1,103 @@
+// 同時に実行するタスク数を制限する。空きがなければ順番待ちにする
+export class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task, signal) {
+    await this.acquire(signal);
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire(signal) {
+    signal?.throwIfAborted();
+    if (this.active < this.limit) {
+      this.active += 1;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+      };
+      const onAbort = () => {
+        this.waiting = this.waiting.filter((waiting) => waiting !== entry);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(entry);
+    });
+  }
+
+  // 待っているタスクがあれば枠をそのまま引き渡す
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active -= 1;
+    }
+  }
+}
+
+// itemsを最大concurrency件ずつ並行に処理し、入力と同じ順序で結果を返す
+export async function mapConcurrent(items, concurrency, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+// 複数の呼び出し元で共有する処理。処理には内部のsignalを渡し、待っている呼び出し元がすべて中断したときだけ中断する
+export class SharedTask {
+  constructor(task) {
+    this.controller = new AbortController();
+    this.waiters = 0;
+    this.promise = task(this.controller.signal);
+    this.promise.catch(() => {});
+  }
+
+  get aborted() {
+    return this.controller.signal.aborted;
+  }
+
+  // 呼び出し元のsignalが中断されると、その呼び出し元にだけ中断を返す
+  join(signal) {
+    signal?.throwIfAborted();
+    this.waiters += 1;
+    if (!signal) {
+      // signalのない呼び出し元は中断しないため、処理は最後まで続く
+      return this.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiters -= 1;
+        if (this.waiters === 0) {
+          this.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
@@ -2,19 +2,91 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
 import {
-  TroccoClient,
   TroccoApiError,
   summarizeError,
 } from './troccoClient.js';
-import { TROCCO_BASE_URL } from './env.js';
+import {
+  INDEX_INCLUDE_DETAILS,
+  INDEX_REFRESH_INTERVAL_MS,
+  JOB_CONTROL_ENABLED,
+  MCP_ALLOWED_HOSTS,
+  MCP_AUTH_TOKENS,
+  MCP_HTTP_HOST,
+  MCP_HTTP_PORT,
+  MCP_SESSION_IDLE_MS,
+  MCP_TRANSPORT,
+  SNAPSHOT_INTERVAL_MS,
+  TROCCO_CONCURRENCY,
+} from './env.js';
+import {
+  extractConfigDetails,
+  fetchJobDefinitionDetails,
+  formatConfigDetails,
+  generateJobDefinitionUrl,
+  generateJobUrl,
+} from './jobDefinitions.js';
+import {
+  fetchJob,
+  findRecentFailures,
+  formatJobLine,
+  JOB_STATUSES,
+  listJobs,
+  summarizeJob,
+} from './jobs.js';
+import {
+  createConfirmationToken,
+  executePlan,
+  isNotExecuted,
+  JobControlError,
+  planCancel,
+  planRerun,
+  planRun,
+  verifyConfirmationToken,
+} from './jobControl.js';
+import { maskSecrets, redactConsole, redactToolResult } from './redact.js';
+import { projectFields, safeJsonStringify } from './utils.js';
+import { mapConcurrent } from './scheduler.js';
+import { ProfileRegistry, readProfileConfigs } from './profiles.js';
+import { registerPrompts } from './prompts.js';
+import { startHttpServer } from './httpServer.js';
+import { registerResources } from './resources.js';
+import {
+  fetchResourceDetails,
+  generateResourceUrl,
+  RESOURCE_TYPE_NAMES,
+  RESOURCE_TYPES,
+} from './resourceTypes.js';
+import {
+  detailKey,
+  ENRICH_DEPTHS,
+  FUZZY_MODES,
+  runBatchSearch,
+  SEARCH_SOURCES,
+  SEARCH_STRATEGIES,
+} from './batchSearch.js';
+import { DIFF_SECTION_NAMES, diffDefinitions } from './definitionDiff.js';
+import { EXPORT_FORMATS, renderExport, toExportRows, writeExport } from './exporters.js';
+import { QuerySyntaxError } from './query.js';
+import { ResultSessionError, ResultSessionStore } from './resultSessions.js';
+import { compareSnapshots, SnapshotError } from './snapshots.js';
+import { DEFAULT_DUPLICATE_THRESHOLD, findDuplicateClusters } from './duplicates.js';
+import { buildInventory, INVENTORY_DIMENSION_NAMES } from './inventory.js';
+import { AUDIT_SEVERITIES, AuditConfigError, auditRuleIds, auditRules, resolveAuditOptions, runAudit } from './audit.js';
+import { buildLineageGraph, describeLineage, LINEAGE_DIRECTIONS } from './lineage.js';
+import { DEFAULT_FUZZY_THRESHOLD } from './textMatch.js';
 
-const server = new McpServer(
-  {
-    name: 'trocco-batch-search-server',
-    version: '0.1.0',
-  },
-  {
-    instructions: `Use this server to perform batch searches in Trocco.
+// ログに認証情報などが出力されないよう、以降のconsole出力はすべて伏せ字にする
+redactConsole();
+
+// 終了時に接続を閉じるのを待つ時間
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const SERVER_INFO = {
+  name: 'trocco-batch-search-server',
+  version: '0.1.0',
+};
+
+const SERVER_INSTRUCTIONS = `Use this server to perform batch searches in Trocco.
 
 The trocco_batch_search tool provides multiple search strategies:
 - exhaustive_scan: Systematically scan through all job definitions using pagination
@@ -22,362 +94,237 @@ The trocco_batch_search tool provides multiple search strategies:
 - alphabet_sweep: Search alphabetically through letters and numbers  
 - recent_first: Search starting from the most recent items
 
-The server automatically injects your TROCCO_API_KEY for authentication.`,
-  },
-);
+By default only job definitions are searched. Pass resourceTypes (job_definition, pipeline_definition,
+datamart_definition, connection) to also search workflows, datamarts and connections; each match carries resource_type.
 
-const client = new TroccoClient();
+Once trocco_sync_index has built the local index, every strategy searches the index instead of calling the API.
+Pass source: "api" to force a live scan.
 
-// WebUIのURLを生成する関数
-function generateJobDefinitionUrl(jobId) {
-  // TROCCO_BASE_URLから/apiを取り除いてWebUIのベースURLを作成
-  const webBaseUrl = TROCCO_BASE_URL.replace(/\/api\/?$/, '');
-  return `${webBaseUrl}/job_definitions/${jobId}`;
-}
+searchTerm is a query: words are ANDed, with OR, NOT (or -word), parentheses, "quoted phrases" and /regex/ supported.
+Field terms match the full job definition config, e.g. "bucket:raw-logs output.table:orders".
+Fields: bucket, prefix, database, schema, table, dataset, project, warehouse, query, variable, name, description (prefix with input. or output. to scope).
+Filters: input_type:, output_type:, created_by:, created: and updated: (e.g. created:>=2024-01-01, updated:2024-01..2024-06).
+Matching ignores full/half-width and katakana/hiragana differences. When nothing matches exactly, typo-tolerant
+fuzzy matching is tried (fuzzy: "on" always, "off" never). Results are sorted by relevance (matches[].score).
 
-// 個別ジョブ定義の詳細を取得する関数
-async function fetchJobDefinitionDetails(jobId) {
-  try {
-    const response = await client.request({
-      path: `job_definitions/${jobId}`,
-      method: 'GET',
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Failed to fetch details for job ${jobId}:`, error.message);
-    return null;
-  }
-}
+The trocco_export tool renders the same search as CSV, JSON Lines or a Markdown table (optionally saved under TROCCO_EXPORT_DIR).
 
-// S3とSnowflakeの設定詳細を抽出する関数
-function extractConfigDetails(details) {
-  const config = {};
-  
-  // S3入力設定 - 複数のパターンを試行
-  if (details?.input_option_type === 's3' && details?.input_option) {
-    let s3Config = null;
-    
-    // パターン1: s3_input_option
-    if (details.input_option.s3_input_option) {
-      s3Config = details.input_option.s3_input_option;
-    }
-    // パターン2: 直接input_option内
-    else if (details.input_option.bucket) {
-      s3Config = details.input_option;
-    }
-    
-    if (s3Config) {
-      config.input_s3 = {
-        bucket: s3Config.bucket,
-        prefix: s3Config.path_prefix || s3Config.prefix || s3Config.key_prefix || '',
-        region: s3Config.region,
-      };
-    }
-  }
-  
-  // Snowflake入力設定
-  if (details?.input_option_type === 'snowflake' && details?.input_option?.snowflake_input_option) {
-    const sfConfig = details.input_option.snowflake_input_option;
-    config.input_snowflake = {
-      database: sfConfig.database,
-      schema: sfConfig.schema,
-      table: sfConfig.table,
-      warehouse: sfConfig.warehouse,
-    };
-  }
-  
-  // S3出力設定は一般的でないが念のため
-  if (details?.output_option_type === 's3' && details?.output_option) {
-    let s3Config = null;
-    
-    if (details.output_option.s3_output_option) {
-      s3Config = details.output_option.s3_output_option;
-    } else if (details.output_option.bucket) {
-      s3Config = details.output_option;
-    }
-    
-    if (s3Config) {
-      config.output_s3 = {
-        bucket: s3Config.bucket,
-        prefix: s3Config.path_prefix || s3Config.prefix || s3Config.key_prefix || '',
-        region: s3Config.region,
-      };
+The trocco_lineage tool traces which job definitions feed or consume a table, dataset or S3 prefix (transitively)
+and returns the graph as nodes/edges plus a Mermaid diagram.
+
+trocco_diff_definitions compares two job definitions (e.g. a clone and its original) path by path.
+
+trocco_snapshot saves a local copy of all definition details (or lists saved snapshots), and trocco_changes lists
+definitions added, removed or modified between two snapshots (or since a date) with field-level diffs and updated_by.
+
+trocco_audit runs lint rules over every job definition (missing description, no schedule, no notifications,
+production writes from personal accounts, duplicate source/destination pairs, naming convention, stale definitions)
+and groups the findings by severity with links.
+
+trocco_duplicates clusters job definitions with identical or highly similar input/output configs and names
+(e.g. "orders_daily", "orders_daily (copy)", "orders_daily_v2_old"), suggests a canonical member and shows how the others differ.
+
+trocco_inventory counts job definitions by input type, output type, input→output type pair, creator, label and creation month.
+
+Job execution history: trocco_list_jobs (runs of a definition filtered by status/time), trocco_get_job
+(status, error message and log of one run) and trocco_recent_failures (definitions whose last run failed recently).
+
+When TROCCO_ENABLE_JOB_CONTROL is set, trocco_run_job, trocco_rerun_job and trocco_cancel_job are available for
+allowlisted definitions. Always call them first without confirmationToken to preview the exact request, show it to
+the user, and only then call again with the returned confirmationToken.
+
+Job definitions are also available as resources: trocco://job_definitions/{id} (normalized detail JSON) and
+trocco://lineage/{locator} (URL-encoded locator) for the default profile, and trocco://{profile}/job_definitions/{id}
+or trocco://{profile}/lineage/{locator} for other profiles. Subscribe to them to be notified when an index refresh
+detects changes.
+
+Prompts impact_analysis (target), connector_onboarding (connectorType) and cleanup_candidates (staleMonths) describe
+the tool calls for common investigations and the expected structure of the answer.
+
+When several Trocco accounts are configured (TROCCO_PROFILES_FILE), every tool takes a profile argument selecting the
+account. trocco_batch_search and trocco_export accept allProfiles: true to search all accounts at once; each match
+then carries its profile.
+
+The server automatically injects your TROCCO_API_KEY for authentication.`;
+
+const profiles = new ProfileRegistry(readProfileConfigs());
+
+for (const context of profiles.all()) {
+  for (const resourceIndex of Object.values(context.indexes)) {
+    try {
+      await resourceIndex.load();
+    } catch (error) {
+      console.error(`[trocco-batch-search] Failed to load local ${resourceIndex.resourceType} index (${context.name}):`, error.message);
     }
   }
-  
-  // Snowflake出力設定
-  if (details?.output_option_type === 'snowflake' && details?.output_option?.snowflake_output_option) {
-    const sfConfig = details.output_option.snowflake_output_option;
-    config.output_snowflake = {
-      database: sfConfig.database,
-      schema: sfConfig.schema,
-      table: sfConfig.table,
-      warehouse: sfConfig.warehouse,
-    };
-  }
-  
-  // BigQuery出力設定
-  if (details?.output_option_type === 'bigquery' && details?.output_option?.bigquery_output_option) {
-    const bqConfig = details.output_option.bigquery_output_option;
-    config.output_bigquery = {
-      project_id: bqConfig.project_id,
-      dataset_id: bqConfig.dataset_id,
-      table_id: bqConfig.table_id,
-    };
-  }
-  
-  return config;
+  // 自動更新はジョブ定義のみ。他の種別はtrocco_sync_indexで同期したものを使う
+  context.index.startAutoRefresh(INDEX_REFRESH_INTERVAL_MS, { includeDetails: INDEX_INCLUDE_DETAILS });
+  context.snapshots.startAutoSnapshot(SNAPSHOT_INTERVAL_MS);
 }
 
-// 設定詳細を表示用にフォーマットする関数
-function formatConfigDetails(config) {
-  const details = [];
-  
-  // 入力設定
-  if (config.input_s3) {
-    const s3 = config.input_s3;
-    details.push(`入力: s3://${s3.bucket}/${s3.prefix || ''}`);
-  } else if (config.input_snowflake) {
-    const sf = config.input_snowflake;
-    const path = [sf.database, sf.schema, sf.table].filter(Boolean).join('.');
-    details.push(`入力: ${path} (warehouse: ${sf.warehouse})`);
-  }
-  
-  // 出力設定
-  if (config.output_s3) {
-    const s3 = config.output_s3;
-    details.push(`出力: s3://${s3.bucket}/${s3.prefix || ''}`);
-  } else if (config.output_snowflake) {
-    const sf = config.output_snowflake;
-    const path = [sf.database, sf.schema, sf.table].filter(Boolean).join('.');
-    details.push(`出力: ${path} (warehouse: ${sf.warehouse})`);
-  } else if (config.output_bigquery) {
-    const bq = config.output_bigquery;
-    details.push(`出力: ${bq.project_id}.${bq.dataset_id}.${bq.table_id}`);
-  }
-  
-  return details.length > 0 ? `\n   ${details.join('\n   ')}` : '';
+const profileSchema = z.enum(profiles.names()).optional()
+  .describe(`Trocco account profile to use (${profiles.names().join(', ')}). Defaults to "${profiles.defaultProfile}"`);
+
+// ツールの定義。createMcpServerで作るサーバーごとに登録する
+const tools = [];
+
+// すべてのツールにprofile引数を加える。handlerの第3引数には、そのプロファイルのクライアント・インデックスなどと
+// セッションごとの状態（resultSessions）を渡す
+function registerTool(name, config, handler) {
+  tools.push({ name, config: { ...config, inputSchema: { ...config.inputSchema, profile: profileSchema } }, handler });
 }
 
+// trocco_batch_searchとtrocco_exportで共通の検索条件
+const searchInputSchema = {
+  searchTerm: z.string().min(1, 'What to search for'),
+  resourceTypes: z.array(z.enum(RESOURCE_TYPE_NAMES)).min(1).optional().default(['job_definition']),
+  strategy: z.enum(SEARCH_STRATEGIES).optional().default('exhaustive_scan'),
+  maxBatches: z.number().int().min(1).max(50).optional().default(10),
+  source: z.enum(SEARCH_SOURCES).optional().default('auto'),
+  maxDetailFetches: z.number().int().min(0).max(1000).optional().default(100),
+  fuzzy: z.enum(FUZZY_MODES).optional().default('auto'),
+  fuzzyThreshold: z.number().min(0.5).max(1).optional().default(DEFAULT_FUZZY_THRESHOLD),
+  allProfiles: z.boolean().optional().default(false)
+    .describe('Search every configured profile in parallel; each match carries its profile'),
+};
 
-server.registerTool(
+registerTool(
   'trocco_batch_search',
   {
     title: 'Trocco Batch Search',
-    description: 'Search through large numbers of transfer configs by fetching in batches and using multiple strategies.',
+    description: 'Search through large numbers of transfer configs, workflows, datamarts and connections by fetching in batches and using multiple strategies.',
     inputSchema: {
-      searchTerm: z.string().min(1, 'What to search for'),
-      strategy: z.enum([
-        'exhaustive_scan',
-        'keyword_chunks',
-        'alphabet_sweep',
-        'recent_first'
-      ]).optional().default('exhaustive_scan'),
-      maxBatches: z.number().int().min(1).max(50).optional().default(10),
+      ...searchInputSchema,
+      pageSize: z.number().int().min(1).max(100).optional().default(10),
+      enrich: z.enum(ENRICH_DEPTHS).optional().default('summary')
+        .describe('none: list fields only, summary: normalized input/output locators, full: the whole config with secrets masked'),
+      enrichLimit: z.number().int().min(0).max(100).optional().default(10)
+        .describe('How many matches of this page to enrich'),
+      fields: z.array(z.string().min(1)).optional()
+        .describe('Return only these match fields (dot paths such as "id", "name", "url", "config.input.locator", "details.output_option"; use [n] for array elements, e.g. "details.filter_columns[0].name")'),
+      cursor: z.string().optional().describe('nextCursor from a previous call with the same parameters, to fetch the next page without searching again'),
     },
     outputSchema: {
       ok: z.boolean(),
       strategy: z.string(),
+      source: z.string(),
+      fuzzyApplied: z.boolean(),
+      complete: z.boolean(),
       batchesSearched: z.number().int(),
       totalScanned: z.number().int(),
+      errors: z.array(z.any()),
+      warnings: z.array(z.string()),
+      totalMatches: z.number().int(),
+      offset: z.number().int(),
+      nextCursor: z.string().nullable(),
       matches: z.array(z.any()),
       searchProgress: z.string(),
     },
   },
-  async ({ searchTerm, strategy, maxBatches }) => {
+  async ({
+    searchTerm,
+    resourceTypes,
+    strategy,
+    maxBatches,
+    source,
+    maxDetailFetches,
+    fuzzy,
+    fuzzyThreshold,
+    allProfiles,
+    pageSize,
+    enrich,
+    enrichLimit,
+    fields,
+    cursor,
+  }, extra, { resultSessions, ...context }) => {
     try {
-      let allMatches = [];
-      let totalScanned = 0;
-      let batchesSearched = 0;
-      const searchTermLower = searchTerm.toLowerCase();
-
-      switch (strategy) {
-        case 'exhaustive_scan':
-          // ページネーションで徹底的にスキャン
-          let cursor = null;
-          let hasMore = true;
-
-          while (hasMore && batchesSearched < maxBatches) {
-            try {
-              const query = { limit: 100 };
-              if (cursor) query.cursor = cursor;
-
-              const response = await client.request({
-                path: 'job_definitions',
-                method: 'GET',
-                query,
-              });
-
-              const items = response.data?.items || [];
-              totalScanned += items.length;
-              batchesSearched++;
-
-              // マッチングチェック
-              const matches = items.filter(item => {
-                const name = (item.name || '').toLowerCase();
-                const desc = (item.description || '').toLowerCase();
-                return name.includes(searchTermLower) || desc.includes(searchTermLower);
-              });
-
-              allMatches.push(...matches);
-
-              cursor = response.data?.next_cursor;
-              hasMore = !!cursor;
-
-              // 早期終了: 見つかったら報告（console.logは削除）
-
-            } catch (error) {
-              // バッチ失敗時は静かに次へ進む
-              break;
-            }
-          }
-          break;
-
-        case 'keyword_chunks':
-          // キーワードの部分文字列で検索
-          const chunks = [];
-          for (let i = 0; i < searchTerm.length - 2; i++) {
-            chunks.push(searchTerm.substring(i, i + 3));
-          }
-          chunks.push(searchTerm.substring(0, Math.floor(searchTerm.length / 2)));
-          chunks.push(searchTerm.substring(Math.floor(searchTerm.length / 2)));
-
-          for (const chunk of [...new Set(chunks)]) {
-            if (batchesSearched >= maxBatches) break;
-
-            try {
-              const response = await client.request({
-                path: 'job_definitions',
-                method: 'GET',
-                query: { name_contains: chunk, limit: 200 },
-              });
-
-              const items = response.data?.items || [];
-              totalScanned += items.length;
-              batchesSearched++;
-
-              const matches = items.filter(item => {
-                const name = (item.name || '').toLowerCase();
-                return name.includes(searchTermLower);
-              });
-
-              allMatches.push(...matches);
-            } catch (error) {
-              // エラーは無視して続行
-            }
-          }
-          break;
-
-        case 'alphabet_sweep':
-          // アルファベット順に検索
-          const letters = 'abcdefghijklmnopqrstuvwxyz0123456789'.split('');
-          
-          for (const letter of letters) {
-            if (batchesSearched >= maxBatches) break;
-
-            try {
-              const response = await client.request({
-                path: 'job_definitions',
-                method: 'GET',
-                query: { name_contains: letter, limit: 200 },
-              });
-
-              const items = response.data?.items || [];
-              totalScanned += items.length;
-              batchesSearched++;
-
-              const matches = items.filter(item => {
-                const name = (item.name || '').toLowerCase();
-                return name.includes(searchTermLower);
-              });
-
-              allMatches.push(...matches);
-            } catch (error) {
-              // エラーは無視して続行
-            }
-          }
-          break;
-
-        case 'recent_first':
-          // 最近作成されたものから検索（IDが大きいものから）
-          
-          for (let i = 0; i < maxBatches; i++) {
-            try {
-              // IDでソートして取得を試行
-              const response = await client.request({
-                path: 'job_definitions',
-                method: 'GET',
-                query: { limit: 100 },
-              });
-
-              const items = response.data?.items || [];
-              totalScanned += items.length;
-              batchesSearched++;
-
-              const matches = items.filter(item => {
-                const name = (item.name || '').toLowerCase();
-                const desc = (item.description || '').toLowerCase();
-                return name.includes(searchTermLower) || desc.includes(searchTermLower);
-              });
-
-              allMatches.push(...matches);
-
-              if (items.length === 0) break;
-            } catch (error) {
-              break;
-            }
-          }
-          break;
+      // pageSizeを変えて続きを取得できるよう、ページ分割に関わる値はセッションのキーに含めない
+      const params = { searchTerm, resourceTypes, strategy, maxBatches, source, maxDetailFetches, fuzzy, fuzzyThreshold };
+      const searchedProfiles = allProfiles ? profiles.all() : [context];
+      let session;
+      let offset = 0;
+      const sessionParams = { ...params, profiles: searchedProfiles.map(profile => profile.name) };
+      if (cursor) {
+        ({ session, offset } = resultSessions.resume(cursor, sessionParams));
+      } else {
+        const search = await searchProfiles(searchedProfiles, params, extra?.signal);
+        session = resultSessions.create(sessionParams, search);
       }
 
-      // 重複排除
-      const uniqueMatches = allMatches.filter((match, index, arr) => 
-        arr.findIndex(m => m.id === match.id) === index
-      );
-
-      // 詳細情報を取得（最初の5件のみ、表示用）
-      const enrichedMatches = await Promise.all(
-        uniqueMatches.slice(0, 5).map(async (item) => {
-          const details = await fetchJobDefinitionDetails(item.id);
-          const config = details ? extractConfigDetails(details) : {};
-          return {
-            ...item,
-            config,
-          };
-        })
-      );
+      const search = session.result;
+      const { batchesSearched, totalScanned } = search;
+      const uniqueMatches = search.matches;
+      const pageMatches = uniqueMatches.slice(offset, offset + pageSize);
+      const nextOffset = offset + pageMatches.length;
+      const nextCursor = nextOffset < uniqueMatches.length ? resultSessions.cursorFor(session, nextOffset) : null;
+
+      const enrichedMatches = await enrichMatches(search, pageMatches, {
+        depth: enrich,
+        limit: enrichLimit,
+        signal: extra?.signal,
+      });
 
       const result = {
         ok: true,
         strategy,
+        source: search.source,
+        fuzzyApplied: search.fuzzyApplied,
+        complete: search.complete,
         batchesSearched,
         totalScanned,
-        matches: uniqueMatches.map(item => ({
+        errors: search.errors,
+        warnings: search.warnings,
+        totalMatches: uniqueMatches.length,
+        offset,
+        nextCursor,
+        matches: enrichedMatches.map(item => projectMatch({
+          profile: item.profile,
+          resource_type: item.resource_type,
           id: item.id,
           name: item.name,
           description: item.description,
-          input_type: item.input_option_type,
-          output_type: item.output_option_type,
+          ...(item.resource_type === 'job_definition'
+            ? { input_type: item.input_option_type, output_type: item.output_option_type }
+            : {}),
+          ...(item.connection_type ? { connection_type: item.connection_type } : {}),
           created_by: item.created_by,
-          url: generateJobDefinitionUrl(item.id),
-        })),
-        searchProgress: `${batchesSearched}/${maxBatches} batches, ${totalScanned} configs scanned`,
+          url: matchUrl(item),
+          score: item.score,
+          ...(item.matchedFields ? { matchedFields: item.matchedFields } : {}),
+          ...(item.config ? { config: item.config } : {}),
+          ...(item.details ? { details: item.details } : {}),
+        }, fields)),
+        searchProgress: (search.source === 'index'
+          ? `local index, ${totalScanned} configs scanned (synced ${searchedProfiles.flatMap(profile => resourceTypes.map(type => profile.indexes[type].syncedAt)).join(', ')})`
+          : `${batchesSearched}/${maxBatches} batches, ${totalScanned} configs scanned`) +
+          (search.detailsSkipped
+            ? `, ${search.detailsSkipped} configs skipped (maxDetailFetches reached)`
+            : ''),
       };
 
       const resultText = uniqueMatches.length > 0
         ? `バッチ検索結果: "${searchTerm}"\n\n` +
-          `戦略: ${strategy}\n` +
+          `戦略: ${strategy}${search.fuzzyApplied ? ' (あいまい一致)' : ''}\n` +
           `進捗: ${result.searchProgress}\n` +
-          `見つかった設定: ${uniqueMatches.length}件\n\n` +
+          `見つかった設定: ${uniqueMatches.length}件` +
+          (offset > 0 || nextCursor ? ` (${offset + 1}〜${nextOffset}件目を表示)` : '') + '\n\n' +
           enrichedMatches.map((item, i) => 
-            `${i + 1}. ${item.name} (ID: ${item.id})\n   ${item.input_type} → ${item.output_type}${formatConfigDetails(item.config)}\n   URL: ${generateJobDefinitionUrl(item.id)}`
+            `${offset + i + 1}. ${allProfiles ? `[${item.profile}] ` : ''}${formatMatchTitle(item)}` +
+            (item.resource_type === 'job_definition'
+              ? `\n   ${item.input_option_type} → ${item.output_option_type}${formatConfigDetails(item.config ?? {})}`
+              : '') +
+            `${formatMatchedFields(item.matchedFields)}\n   URL: ${matchUrl(item)}`
           ).join('\n\n') +
-          (uniqueMatches.length > 5 ? `\n\n... 他 ${uniqueMatches.length - 5}件` : '')
-        : `"${searchTerm}" が見つかりませんでした\n\n` +
+          (nextCursor
+            ? `\n\n... 他 ${uniqueMatches.length - nextOffset}件（続きは同じ条件で cursor: "${nextCursor}" を指定）`
+            : '') +
+          formatSearchWarnings(search)
+        : `"${searchTerm}" が見つかりませんでした` +
+          (search.complete ? '' : '（一部を検索できなかったため、存在しないとは限りません）') + '\n\n' +
           `戦略: ${strategy}\n` +
           `進捗: ${result.searchProgress}\n\n` +
-          `別の戦略を試すか、検索語を変更してください。`;
+          `別の戦略を試すか、検索語を変更してください。` +
+          formatSearchWarnings(search);
 
       return {
         content: [
@@ -389,6 +336,28 @@ server.registerTool(
         structuredContent: result,
       };
     } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return queryErrorResult(error, searchTerm);
+      }
+      if (error instanceof ResultSessionError) {
+        return {
+          isError: true,
+          content: [
+            {
+              type: 'text',
+              text: `続きを取得できませんでした: ${error.message}`,
+            },
+          ],
+          structuredContent: {
+            ok: false,
+            error: {
+              type: 'result_session',
+              code: error.code,
+              message: error.message,
+            },
+          },
+        };
+      }
       const structuredError = serializeError(error);
       return {
         isError: true,
@@ -404,41 +373,1416 @@ server.registerTool(
   },
 );
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+registerTool(
+  'trocco_export',
+  {
+    title: 'Trocco Export',
+    description: 'Run a trocco_batch_search query and render the matches (id, name, types, creator, input/output locators, URL) as CSV, JSON Lines or a Markdown table, optionally written to a file under TROCCO_EXPORT_DIR.',
+    inputSchema: {
+      ...searchInputSchema,
+      format: z.enum(EXPORT_FORMATS).optional().default('csv'),
+      maxRows: z.number().int().min(1).max(2000).optional().default(500),
+      includeLocators: z.boolean().optional().default(true)
+        .describe('Fetch each definition to fill input_locator/output_locator'),
+      outputFile: z.string().min(1).optional()
+        .describe('File name to write under TROCCO_EXPORT_DIR. The extension is set from format, and an existing file is never overwritten (a -1, -2, ... suffix is added). When omitted, the export is returned inline.'),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      format: z.string(),
+      rowCount: z.number().int(),
+      totalMatches: z.number().int(),
+      complete: z.boolean(),
+      warnings: z.array(z.string()),
+      path: z.string().nullable(),
+      content: z.string().nullable(),
+    },
+  },
+  async ({ format, maxRows, includeLocators, outputFile, allProfiles, profile, ...searchParams }, extra, context) => {
+    try {
+      const search = await searchProfiles(allProfiles ? profiles.all() : [context], searchParams, extra?.signal);
+      const matches = await enrichMatches(search, search.matches.slice(0, maxRows), {
+        depth: includeLocators ? 'summary' : 'none',
+        limit: maxRows,
+        signal: extra?.signal,
+      });
+      const rows = toExportRows(matches.map(item => ({ ...item, url: matchUrl(item) })));
+      const content = renderExport(rows, format);
+      const path = outputFile ? await writeExport(content, { fileName: outputFile, format }) : null;
+
+      const warnings = [...search.warnings];
+      if (search.matches.length > maxRows) {
+        warnings.push(`${search.matches.length}件中、先頭の${maxRows}件のみ出力しました`);
+      }
+      const result = {
+        ok: true,
+        format,
+        rowCount: rows.length,
+        totalMatches: search.matches.length,
+        complete: search.complete && search.matches.length <= maxRows,
+        warnings,
+        path,
+        content: path ? null : content,
+      };
 
-function serializeError(error) {
-  if (error instanceof TroccoApiError) {
-    const formatted = summarizeError(error);
-    const payload = {
-      ok: false,
-      error: {
-        message: error.message,
-        request: error.request,
-        response: error.response,
-      },
-    };
-    if (error.response) {
-      payload.status = error.response.status;
-      payload.statusText = error.response.statusText;
-      payload.url = error.response.url;
-      payload.method = error.response.method;
-      payload.durationMs = error.response.durationMs;
-      payload.headers = error.response.headers;
-      payload.data = error.response.data;
-      payload.text = error.response.text;
+      const resultText = (path
+        ? `エクスポートしました: ${path} (${format}、${rows.length}件)`
+        : `エクスポート結果 (${format}、${rows.length}件):\n\n${content}`) +
+        (warnings.length > 0 ? `\n\n警告:\n${warnings.map(w => `- ${w}`).join('\n')}` : '');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return queryErrorResult(error, searchParams.searchTerm);
+      }
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `エクスポート失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
     }
-    return { formatted, payload };
-  }
-  const formatted = summarizeError(error);
-  return {
-    formatted,
-    payload: {
-      ok: false,
-      error: {
-        message: error.message,
-      },
+  },
+);
+
+registerTool(
+  'trocco_sync_index',
+  {
+    title: 'Trocco Sync Index',
+    description: 'Build or refresh the local indexes (job definitions by default) used by trocco_batch_search, or report their status.',
+    inputSchema: {
+      mode: z.enum(['incremental', 'full', 'status']).optional().default('incremental'),
+      resourceTypes: z.array(z.enum(RESOURCE_TYPE_NAMES)).min(1).optional().default(['job_definition']),
+      includeDetails: z.boolean().optional().default(INDEX_INCLUDE_DETAILS),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      indexes: z.array(z.object({
+        resourceType: z.string(),
+        path: z.string(),
+        itemCount: z.number().int(),
+        detailCount: z.number().int(),
+        detailFailureCount: z.number().int(),
+        syncedAt: z.string().nullable(),
+        ageMs: z.number().nullable(),
+        syncing: z.boolean(),
+        lastSyncStats: z.any(),
+        lastSyncErrors: z.array(z.any()),
+      })),
+    },
+  },
+  async ({ mode, resourceTypes, includeDetails }, extra, { indexes }) => {
+    try {
+      if (mode !== 'status') {
+        for (const resourceType of resourceTypes) {
+          await indexes[resourceType].sync({ full: mode === 'full', includeDetails, signal: extra?.signal });
+        }
+      }
+
+      const statuses = resourceTypes.map(resourceType => indexes[resourceType].status());
+      const result = { ok: true, indexes: statuses };
+
+      const resultText = statuses.map(status => {
+        const stats = status.lastSyncStats;
+        return `${RESOURCE_TYPES[status.resourceType].label}のインデックス: ${status.path}\n` +
+          `件数: ${status.itemCount}件 (詳細 ${status.detailCount}件)\n` +
+          `最終同期: ${status.syncedAt ?? '未同期'}` +
+          (status.ageMs !== null ? ` (${formatAge(status.ageMs)}前)` : '') +
+          (stats
+            ? `\n前回の同期: 追加 ${stats.added} / 更新 ${stats.updated} / 削除 ${stats.removed} / 変更なし ${stats.unchanged} (${stats.pages}ページ、詳細取得 ${stats.detailsFetched}件)`
+            : '') +
+          (status.lastSyncErrors.length > 0
+            ? `\n\n同期エラー:\n${status.lastSyncErrors.map(e => `- ${e.id ? `ID ${e.id}` : `${e.path ?? ''} page ${e.page}`}: ${e.message}`).join('\n')}`
+            : '');
+      }).join('\n\n');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `インデックス同期失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_lineage',
+  {
+    title: 'Trocco Lineage',
+    description: 'Trace which job definitions feed (upstream) or consume (downstream) a table, dataset or S3 prefix, transitively, and render the graph as Mermaid.',
+    inputSchema: {
+      target: z.string().min(1, 'Locator such as snowflake://DB.SCHEMA.TABLE, bigquery://project.dataset.table, s3://bucket/prefix, mysql://database.table or DB.SCHEMA.TABLE'),
+      direction: z.enum(LINEAGE_DIRECTIONS).optional().default('both'),
+      maxDepth: z.number().int().min(1).max(20).optional().default(5),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      target: z.string(),
+      direction: z.string(),
+      matchedNodes: z.array(z.string()),
+      upstreamJobs: z.array(z.any()),
+      downstreamJobs: z.array(z.any()),
+      nodes: z.array(z.any()),
+      edges: z.array(z.any()),
+      mermaid: z.string(),
+    },
+  },
+  async ({ target, direction, maxDepth }, extra, { client, index }) => {
+    try {
+      const definitions = await index.ensureDetails({ signal: extra?.signal });
+      const graph = buildLineageGraph(definitions, { baseUrl: client.baseUrl });
+      const result = { ok: true, target, direction, ...describeLineage(graph, target, { direction, maxDepth }) };
+      const { matchedNodes, mermaid } = result;
+
+      const formatJobs = jobs => jobs.length > 0
+        ? jobs.map(job => `- ${job.name} (ID: ${job.id})\n  URL: ${job.url}`).join('\n')
+        : '- なし';
+
+      const resultText = matchedNodes.length > 0
+        ? `リネージ: "${target}"\n\n` +
+          `一致したデータ:\n${matchedNodes.map(id => `- ${id}`).join('\n')}\n\n` +
+          (direction !== 'downstream' ? `上流のジョブ (${result.upstreamJobs.length}件):\n${formatJobs(result.upstreamJobs)}\n\n` : '') +
+          (direction !== 'upstream' ? `下流のジョブ (${result.downstreamJobs.length}件):\n${formatJobs(result.downstreamJobs)}\n\n` : '') +
+          `\`\`\`mermaid\n${mermaid}\n\`\`\``
+        : `"${target}" を入力・出力に持つジョブ定義が見つかりませんでした\n\n` +
+          `${definitions.length}件の定義を対象にしました。ロケーターは s3://bucket/prefix, snowflake://DB.SCHEMA.TABLE, bigquery://project.dataset.table, mysql://database.table などの形式で指定してください。`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `リネージ取得失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+const DIFF_SECTION_LABELS = {
+  input: '入力',
+  output: '出力',
+  filters: 'フィルタ',
+  schedules: 'スケジュール',
+  custom_variables: 'カスタム変数',
+  other: 'その他',
+};
+
+registerTool(
+  'trocco_diff_definitions',
+  {
+    title: 'Trocco Diff Definitions',
+    description: 'Compare two job definitions (e.g. a clone and its original) and list differences in input/output options, filters, schedules and custom variables by dotted path. Secret values are masked.',
+    inputSchema: {
+      leftId: z.number().int().positive(),
+      rightId: z.number().int().positive(),
+      sections: z.array(z.enum(DIFF_SECTION_NAMES)).min(1).optional().default(DIFF_SECTION_NAMES),
+      maxTextChanges: z.number().int().min(1).max(500).optional().default(50),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      left: z.any(),
+      right: z.any(),
+      identical: z.boolean(),
+      counts: z.record(z.number().int()),
+      changes: z.array(z.any()),
+    },
+  },
+  async ({ leftId, rightId, sections, maxTextChanges }, extra, { client }) => {
+    try {
+      const [left, right] = await Promise.all([
+        fetchJobDefinitionDetails(client, leftId),
+        fetchJobDefinitionDetails(client, rightId),
+      ]);
+      for (const [id, details] of [[leftId, left], [rightId, right]]) {
+        if (!details) {
+          throw new Error(`Job definition ${id} could not be fetched`);
+        }
+      }
+
+      const { changes, counts } = diffDefinitions(left, right, { sections });
+      const describe = (id, details) => ({ id, name: details.name, url: generateJobDefinitionUrl(id, client.baseUrl) });
+      const result = {
+        ok: true,
+        left: describe(leftId, left),
+        right: describe(rightId, right),
+        identical: changes.length === 0,
+        counts,
+        changes,
+      };
+
+      const formatValue = value => (typeof value === 'string' ? `"${value}"` : safeJsonStringify(value, 0));
+      const marks = { added: '+', removed: '-', changed: '~' };
+      const lines = [];
+      for (const section of sections) {
+        const sectionChanges = changes.filter(change => change.section === section);
+        if (sectionChanges.length === 0) continue;
+        lines.push(`\n[${DIFF_SECTION_LABELS[section]}]`);
+        for (const change of sectionChanges) {
+          lines.push(`${marks[change.type]} ${change.path}: ` + (change.type === 'changed'
+            ? `${formatValue(change.before)} → ${formatValue(change.after)}`
+            : formatValue(change.type === 'added' ? change.after : change.before)));
+        }
+      }
+      const shown = lines.filter(line => !line.startsWith('\n[')).length > maxTextChanges
+        ? limitDiffLines(lines, maxTextChanges)
+        : lines;
+
+      const resultText = `差分: #${leftId} ${left.name} ↔ #${rightId} ${right.name}\n` +
+        sections.map(section => `${DIFF_SECTION_LABELS[section]}: ${counts[section]}件`).join(' / ') +
+        (changes.length === 0 ? '\n\n比較した範囲に差分はありません' : `\n${shown.join('\n')}`) +
+        (shown !== lines ? `\n\n... 他 ${changes.length - maxTextChanges}件（structuredContent.changesを参照）` : '');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `差分の取得失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_snapshot',
+  {
+    title: 'Trocco Snapshot',
+    description: 'Save a local snapshot of all job, pipeline and datamart definitions including their details (action "take"), or list saved snapshots (action "list"). Snapshots are compared with trocco_changes.',
+    inputSchema: {
+      action: z.enum(['take', 'list']).optional().default('list'),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      action: z.string(),
+      snapshot: z.any().optional(),
+      snapshots: z.array(z.any()),
     },
+  },
+  async ({ action }, extra, { snapshots }) => {
+    try {
+      let taken = null;
+      if (action === 'take') {
+        const snapshot = await snapshots.take({ signal: extra?.signal });
+        taken = {
+          id: snapshot.id,
+          takenAt: snapshot.takenAt,
+          counts: Object.fromEntries(Object.entries(snapshot.resources).map(([type, resource]) => [type, resource.items.length])),
+          complete: Object.values(snapshot.resources).every(resource => resource.complete),
+        };
+      }
+      const list = await snapshots.list();
+      const result = { ok: true, action, ...(taken ? { snapshot: taken } : {}), snapshots: list };
+
+      const resultText = (taken
+        ? `スナップショットを保存しました: ${taken.id}\n` +
+          Object.entries(taken.counts).map(([type, count]) => `- ${RESOURCE_TYPES[type].label}: ${count}件`).join('\n') +
+          (taken.complete ? '' : '\n\n警告: 一覧または詳細の一部を取得できませんでした') +
+          '\n\n'
+        : '') +
+        (list.length > 0
+          ? `保存済みのスナップショット (${list.length}件):\n${list.map(snapshot => `- ${snapshot.id}`).join('\n')}`
+          : '保存済みのスナップショットはありません。action: "take" で作成してください');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `スナップショットの処理失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_changes',
+  {
+    title: 'Trocco Changes',
+    description: 'List definitions added, removed or modified between two snapshots, or since a date, with field-level diffs and the user who last updated each definition. Secret values are masked.',
+    inputSchema: {
+      from: z.string().optional().describe('Snapshot id to compare from. Defaults to the snapshot before "to"'),
+      to: z.string().optional().describe('Snapshot id to compare to. Defaults to the latest snapshot'),
+      since: z.string().optional().describe('Date or datetime; compares from the latest snapshot taken at or before it'),
+      refresh: z.boolean().optional().default(false).describe('Take a new snapshot first and use it as "to"'),
+      resourceTypes: z.array(z.enum(RESOURCE_TYPE_NAMES.filter(type => type !== 'connection'))).min(1).optional(),
+      maxTextChanges: z.number().int().min(1).max(100).optional().default(10),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      from: z.any(),
+      to: z.any(),
+      added: z.array(z.any()),
+      removed: z.array(z.any()),
+      modified: z.array(z.any()),
+      warnings: z.array(z.string()),
+    },
+  },
+  async ({ from, to, since, refresh, resourceTypes, maxTextChanges }, extra, { client, snapshots }) => {
+    try {
+      if (from && since) {
+        throw new SnapshotError('Pass either "from" or "since", not both', { code: 'invalid_arguments' });
+      }
+      if (since && Number.isNaN(Date.parse(since))) {
+        throw new SnapshotError(`Invalid date "${since}"`, { code: 'invalid_arguments' });
+      }
+      if (refresh) {
+        to = (await snapshots.take({ signal: extra?.signal })).id;
+      }
+
+      const list = await snapshots.list();
+      const toId = to ?? list[list.length - 1]?.id;
+      const warnings = [];
+      let fromId = from;
+      if (!fromId && since) {
+        const baseline = await snapshots.findAtOrBefore(since);
+        fromId = baseline?.id ?? list[0]?.id;
+        if (!baseline && fromId) {
+          warnings.push(`${since} 以前のスナップショットがないため、最も古い ${fromId} と比較しました`);
+        }
+      }
+      if (!fromId) {
+        const position = list.findIndex(snapshot => snapshot.id === toId);
+        fromId = position > 0 ? list[position - 1].id : undefined;
+      }
+      if (!fromId || !toId || fromId === toId) {
+        throw new SnapshotError('At least two snapshots are needed to list changes. Take one with trocco_snapshot (action "take") or pass refresh: true.', {
+          code: 'not_enough_snapshots',
+        });
+      }
+
+      const [fromSnapshot, toSnapshot] = await Promise.all([snapshots.load(fromId), snapshots.load(toId)]);
+      const changes = compareSnapshots(fromSnapshot, toSnapshot, { resourceTypes, baseUrl: client.baseUrl });
+      const result = {
+        ok: true,
+        from: { id: fromSnapshot.id, takenAt: fromSnapshot.takenAt },
+        to: { id: toSnapshot.id, takenAt: toSnapshot.takenAt },
+        added: changes.added,
+        removed: changes.removed,
+        modified: changes.modified,
+        warnings: [...warnings, ...changes.warnings],
+      };
+
+      const formatValue = value => (typeof value === 'string' ? `"${value}"` : safeJsonStringify(value, 0));
+      const marks = { added: '+', removed: '-', changed: '~' };
+      const formatEntry = entry => `- ${formatMatchTitle(entry)}` +
+        (entry.updated_by ? ` 更新者: ${entry.updated_by}` : '') +
+        `\n  URL: ${entry.url}`;
+      const formatModified = entry => formatEntry(entry) + entry.changes.slice(0, maxTextChanges).map(change =>
+        `\n  ${marks[change.type]} ${change.path}: ` + (change.type === 'changed'
+          ? `${formatValue(change.before)} → ${formatValue(change.after)}`
+          : formatValue(change.type === 'added' ? change.after : change.before))
+      ).join('') +
+        (entry.changes.length > maxTextChanges ? `\n  ... 他 ${entry.changes.length - maxTextChanges}件` : '');
+
+      const total = result.added.length + result.removed.length + result.modified.length;
+      const resultText = `変更: ${result.from.id} → ${result.to.id}\n` +
+        `追加: ${result.added.length}件 / 削除: ${result.removed.length}件 / 変更: ${result.modified.length}件` +
+        (total === 0 ? '\n\n変更はありません' : '') +
+        (result.added.length > 0 ? `\n\n[追加]\n${result.added.map(formatEntry).join('\n')}` : '') +
+        (result.removed.length > 0 ? `\n\n[削除]\n${result.removed.map(formatEntry).join('\n')}` : '') +
+        (result.modified.length > 0 ? `\n\n[変更]\n${result.modified.map(formatModified).join('\n')}` : '') +
+        (result.warnings.length > 0 ? `\n\n警告:\n${result.warnings.map(w => `- ${w}`).join('\n')}` : '');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      if (error instanceof SnapshotError) {
+        return {
+          isError: true,
+          content: [
+            {
+              type: 'text',
+              text: `変更の取得失敗\n${error.message}`,
+            },
+          ],
+          structuredContent: {
+            ok: false,
+            error: {
+              type: 'snapshot',
+              code: error.code,
+              message: error.message,
+            },
+          },
+        };
+      }
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `変更の取得失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+const AUDIT_SEVERITY_LABELS = {
+  error: 'エラー',
+  warning: '警告',
+  info: '情報',
+};
+
+registerTool(
+  'trocco_audit',
+  {
+    title: 'Trocco Audit',
+    description: `Run audit rules over every job definition and group findings by severity with links. Rules: ${auditRules().map(rule => `${rule.id} (${rule.severity}): ${rule.description}`).join('; ')}.`,
+    inputSchema: {
+      rules: z.array(z.enum(auditRuleIds())).min(1).optional().default(auditRuleIds()),
+      severities: z.array(z.enum(AUDIT_SEVERITIES)).min(1).optional().default(AUDIT_SEVERITIES),
+      namePattern: z.string().optional().describe('Regular expression definition names must match (default: TROCCO_AUDIT_NAME_PATTERN)'),
+      staleMonths: z.number().int().min(1).max(120).optional().describe('Months without updates before a definition is reported as stale (default: TROCCO_AUDIT_STALE_MONTHS)'),
+      productionPattern: z.string().optional().describe('Regular expression matched against output locators to detect production schemas'),
+      personalAccountPattern: z.string().optional().describe('Regular expression matched against created_by/updated_by to detect personal accounts'),
+      maxTextFindings: z.number().int().min(1).max(500).optional().default(20),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      definitionsAudited: z.number().int(),
+      detailsMissing: z.number().int(),
+      counts: z.record(z.number().int()),
+      rules: z.array(z.any()),
+      findings: z.record(z.array(z.any())),
+    },
+  },
+  async ({ rules, severities, namePattern, staleMonths, productionPattern, personalAccountPattern, maxTextFindings }, extra, { client, index }) => {
+    try {
+      const options = resolveAuditOptions({ namePattern, staleMonths, productionPattern, personalAccountPattern });
+      const definitions = await index.ensureDetails({ signal: extra?.signal });
+      const audit = runAudit(definitions, { ruleIds: rules, options, baseUrl: client.baseUrl });
+      const result = {
+        ok: true,
+        ...audit,
+        counts: Object.fromEntries(severities.map(severity => [severity, audit.counts[severity]])),
+        findings: Object.fromEntries(severities.map(severity => [severity, audit.findings[severity]])),
+      };
+
+      const titles = Object.fromEntries(auditRules().map(rule => [rule.id, rule.title]));
+      const sectionText = severity => {
+        const findings = result.findings[severity];
+        if (findings.length === 0) return '';
+        return `\n\n[${AUDIT_SEVERITY_LABELS[severity]}] ${findings.length}件\n` +
+          findings.slice(0, maxTextFindings).map(finding =>
+            `- ${finding.name} (ID: ${finding.id}) ${titles[finding.rule]}: ${finding.message}` +
+            (finding.related ? ` (ID: ${finding.related.join(', ')})` : '') +
+            `\n  URL: ${finding.url}`
+          ).join('\n') +
+          (findings.length > maxTextFindings ? `\n... 他 ${findings.length - maxTextFindings}件` : '');
+      };
+
+      const total = severities.reduce((sum, severity) => sum + result.counts[severity], 0);
+      const resultText = `監査: ${result.definitionsAudited}件の定義\n` +
+        severities.map(severity => `${AUDIT_SEVERITY_LABELS[severity]}: ${result.counts[severity]}件`).join(' / ') +
+        (total === 0 ? '\n\n指摘はありません' : severities.map(sectionText).join('')) +
+        (result.detailsMissing > 0 ? `\n\n注意: ${result.detailsMissing}件の定義は詳細を取得できなかったため、一部のルールを適用していません` : '') +
+        (options.namePattern || !rules.includes('naming_convention') ? '' : '\n\n命名規則（TROCCO_AUDIT_NAME_PATTERNまたはnamePattern）が未設定のため、naming_conventionは適用していません');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      if (error instanceof AuditConfigError) {
+        return {
+          isError: true,
+          content: [
+            {
+              type: 'text',
+              text: `監査失敗\n${error.message}`,
+            },
+          ],
+          structuredContent: {
+            ok: false,
+            error: {
+              type: 'audit_config',
+              code: error.code,
+              message: error.message,
+            },
+          },
+        };
+      }
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `監査失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_duplicates',
+  {
+    title: 'Trocco Duplicates',
+    description: 'Cluster job definitions with identical or highly similar input/output configs and names (copies such as "x (copy)" or "x_v2_old"), suggest a canonical member per cluster and list how the other members differ from it.',
+    inputSchema: {
+      threshold: z.number().min(0.5).max(1).optional().default(DEFAULT_DUPLICATE_THRESHOLD).describe('Minimum similarity (0.6 x config + 0.4 x name) to put two definitions in the same cluster'),
+      minClusterSize: z.number().int().min(2).max(100).optional().default(2),
+      maxClusters: z.number().int().min(1).max(200).optional().default(20),
+      maxChangesPerMember: z.number().int().min(0).max(200).optional().default(20),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      definitionsCompared: z.number().int(),
+      totalClusters: z.number().int(),
+      clusters: z.array(z.any()),
+      skippedBlocks: z.array(z.object({ key: z.string(), size: z.number().int() })),
+    },
+  },
+  async ({ threshold, minClusterSize, maxClusters, maxChangesPerMember }, extra, { client, index }) => {
+    try {
+      const definitions = await index.ensureDetails({ signal: extra?.signal });
+      const { clusters, skippedBlocks } = findDuplicateClusters(definitions, {
+        threshold,
+        minClusterSize,
+        maxChanges: maxChangesPerMember,
+        baseUrl: client.baseUrl,
+      });
+      const result = {
+        ok: true,
+        definitionsCompared: definitions.filter(definition => definition.details).length,
+        totalClusters: clusters.length,
+        clusters: clusters.slice(0, maxClusters),
+        skippedBlocks,
+      };
+
+      const formatValue = value => (typeof value === 'string' ? `"${value}"` : safeJsonStringify(value, 0));
+      const marks = { added: '+', removed: '-', changed: '~' };
+      const formatMember = member => `  - ${member.name} (ID: ${member.id}) 類似度 ${member.similarity}` +
+        (member.identicalConfig ? '（入出力が同一）' : '') +
+        `\n    URL: ${member.url}` +
+        (member.differences.total === 0
+          ? '\n    設定の差分なし'
+          : `\n    差分 ${member.differences.total}件:` + member.differences.changes.slice(0, 3).map(change =>
+            `\n    ${marks[change.type]} ${change.path}: ` + (change.type === 'changed'
+              ? `${formatValue(change.before)} → ${formatValue(change.after)}`
+              : formatValue(change.type === 'added' ? change.after : change.before))
+          ).join('') + (member.differences.total > 3 ? '\n    ...' : ''));
+
+      const resultText = (clusters.length > 0
+        ? `重複の候補: ${clusters.length}グループ（${result.definitionsCompared}件の定義を比較）\n\n` +
+          result.clusters.map((cluster, i) =>
+            `${i + 1}. ${cluster.size}件: 代表 ${cluster.canonical.name} (ID: ${cluster.canonical.id})（${cluster.canonical.reasons.join('、')}）\n` +
+            `   URL: ${cluster.canonical.url}\n` +
+            `   入力: ${cluster.canonical.input ?? '-'} / 出力: ${cluster.canonical.output ?? '-'}\n` +
+            cluster.members.map(formatMember).join('\n')
+          ).join('\n\n') +
+          (clusters.length > maxClusters ? `\n\n... 他 ${clusters.length - maxClusters}グループ` : '')
+        : `類似度 ${threshold} 以上の重複は見つかりませんでした（${result.definitionsCompared}件の定義を比較）`) +
+        (skippedBlocks.length > 0
+          ? `\n\n※ 共有する定義が多すぎるため、次の候補のグループ内では比較していません: ` +
+            skippedBlocks.map(block => `${block.key}（${block.size}件）`).join(', ')
+          : '');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `重複の検出失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+const INVENTORY_DIMENSION_LABELS = {
+  input_type: '入力の種類',
+  output_type: '出力の種類',
+  pair: '入力 → 出力',
+  created_by: '作成者',
+  label: 'ラベル',
+  created_month: '作成月',
+};
+
+registerTool(
+  'trocco_inventory',
+  {
+    title: 'Trocco Inventory',
+    description: 'Aggregate all job definitions by input type, output type, input→output type pair, creator, label and creation month, returning counts and top-N lists. Uses the local index (synced on first use).',
+    inputSchema: {
+      dimensions: z.array(z.enum(INVENTORY_DIMENSION_NAMES)).min(1).optional().default(INVENTORY_DIMENSION_NAMES),
+      topN: z.number().int().min(1).max(100).optional().default(10),
+      refresh: z.boolean().optional().default(false).describe('Sync the local index before aggregating'),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      total: z.number().int(),
+      syncedAt: z.string().nullable(),
+      dimensions: z.record(z.any()),
+    },
+  },
+  async ({ dimensions, topN, refresh }, extra, { index }) => {
+    try {
+      if (refresh || !index.isReady()) {
+        await index.sync({ signal: extra?.signal });
+      }
+      const entries = index.items().map(item => ({ item, details: index.getDetails(index.keyOf(item)) ?? null }));
+      const inventory = buildInventory(entries, { dimensions, topN });
+      const result = { ok: true, total: inventory.total, syncedAt: index.syncedAt, dimensions: inventory.dimensions };
+
+      const resultText = `ジョブ定義の集計: ${result.total}件` +
+        (result.syncedAt ? `（インデックス同期: ${result.syncedAt}）` : '') +
+        dimensions.map(dimension => {
+          const { distinct, top, otherCount } = result.dimensions[dimension];
+          return `\n\n[${INVENTORY_DIMENSION_LABELS[dimension]}] ${distinct}種類\n` +
+            top.map(({ value, count, share }) => `- ${value}: ${count}件 (${(share * 100).toFixed(1)}%)`).join('\n') +
+            (otherCount > 0 ? `\n- その他: ${otherCount}件` : '');
+        }).join('');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `集計失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_list_jobs',
+  {
+    title: 'Trocco List Jobs',
+    description: 'List executions (jobs) of a job definition, newest first, filtered by status and time range.',
+    inputSchema: {
+      jobDefinitionId: z.number().int().positive(),
+      status: z.array(z.enum(JOB_STATUSES)).optional(),
+      since: z.string().datetime({ offset: true }).optional(),
+      until: z.string().datetime({ offset: true }).optional(),
+      limit: z.number().int().min(1).max(200).optional().default(20),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      jobDefinitionId: z.number().int(),
+      jobDefinitionUrl: z.string(),
+      jobs: z.array(z.any()),
+    },
+  },
+  async ({ jobDefinitionId, status, since, until, limit }, extra, { client }) => {
+    try {
+      const jobs = await listJobs(client, {
+        jobDefinitionId,
+        statuses: status,
+        since,
+        until,
+        limit,
+        signal: extra?.signal,
+      });
+      const result = {
+        ok: true,
+        jobDefinitionId,
+        jobDefinitionUrl: generateJobDefinitionUrl(jobDefinitionId, client.baseUrl),
+        jobs: jobs.map(job => summarizeJob(job, { baseUrl: client.baseUrl })),
+      };
+
+      const resultText = result.jobs.length > 0
+        ? `ジョブ定義 ${jobDefinitionId} の実行履歴: ${result.jobs.length}件\n` +
+          `URL: ${result.jobDefinitionUrl}\n\n` +
+          result.jobs.map(formatJobLine).join('\n')
+        : `ジョブ定義 ${jobDefinitionId} に条件に合う実行履歴はありませんでした\nURL: ${result.jobDefinitionUrl}`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `実行履歴の取得失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_get_job',
+  {
+    title: 'Trocco Get Job',
+    description: 'Fetch a single job (execution) with its status, timing, error message and log tail.',
+    inputSchema: {
+      jobId: z.number().int().positive(),
+      maxLogChars: z.number().int().min(0).max(50000).optional().default(4000),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      job: z.any(),
+    },
+  },
+  async ({ jobId, maxLogChars }, extra, { client }) => {
+    try {
+      const job = summarizeJob(await fetchJob(client, jobId, { signal: extra?.signal }), { maxLogChars, baseUrl: client.baseUrl });
+      const result = { ok: true, job };
+
+      const resultText = `ジョブ #${job.id}: ${job.status}\n` +
+        `ジョブ定義: ${job.job_definition_id ?? '-'}${job.job_definition_url ? ` (${job.job_definition_url})` : ''}\n` +
+        `開始: ${job.started_at ?? '-'} / 終了: ${job.finished_at ?? '-'}\n` +
+        `URL: ${job.url}` +
+        (job.error_message ? `\n\nエラー:\n${job.error_message}` : '') +
+        (job.log ? `\n\nログ${job.logTruncated ? ` (末尾${maxLogChars}文字)` : ''}:\n${job.log}` : '');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `ジョブの取得失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+registerTool(
+  'trocco_recent_failures',
+  {
+    title: 'Trocco Recent Failures',
+    description: 'Summarize job definitions whose latest run failed within the given number of hours. Optionally scope the definitions with a trocco_batch_search query.',
+    inputSchema: {
+      hours: z.number().min(1).max(24 * 30).optional().default(24),
+      searchTerm: z.string().min(1).optional(),
+      maxDefinitions: z.number().int().min(1).max(5000).optional()
+        .describe('Check only the first N definitions (default: all matched definitions)'),
+    },
+    outputSchema: {
+      ok: z.boolean(),
+      hours: z.number(),
+      checked: z.number().int(),
+      total: z.number().int(),
+      truncated: z.boolean(),
+      warning: z.string().optional(),
+      failures: z.array(z.any()),
+      errors: z.array(z.any()),
+    },
+  },
+  async ({ hours, searchTerm, maxDefinitions }, extra, { client, index, indexes }) => {
+    try {
+      let definitions;
+      if (searchTerm) {
+        definitions = (await runBatchSearch({
+          client,
+          indexes,
+          searchTerm,
+          strategy: 'exhaustive_scan',
+          maxBatches: 50,
+          signal: extra?.signal,
+        })).matches;
+      } else {
+        if (!index.isReady()) {
+          await index.sync({ signal: extra?.signal });
+        }
+        definitions = index.items();
+      }
+
+      // ジョブの一覧APIはジョブ定義ごとにしか取得できないため、定義ごとに最新のジョブを確認する
+      const { failures, errors, checked } = await findRecentFailures(client, definitions.slice(0, maxDefinitions), {
+        hours,
+        signal: extra?.signal,
+      });
+      const truncated = checked < definitions.length;
+      const warning = truncated ? `${definitions.length}件中${checked}件のみ確認しました` : undefined;
+      const result = { ok: true, hours, checked, total: definitions.length, truncated, ...(warning ? { warning } : {}), failures, errors };
+
+      const resultText = `過去${hours}時間に最新の実行が失敗したジョブ定義: ${failures.length}件 (${checked}件を確認)` +
+        (warning ? `\n※ ${warning}` : '') +
+        (failures.length > 0
+          ? '\n\n' + failures.map((failure, i) =>
+            `${i + 1}. ${failure.name} (ID: ${failure.job_definition_id})\n` +
+            `   ジョブ #${failure.lastJob.id} ${failure.lastJob.finished_at ?? failure.lastJob.started_at ?? ''}\n` +
+            (failure.lastJob.error_message ? `   エラー: ${failure.lastJob.error_message}\n` : '') +
+            `   URL: ${failure.job_definition_url}\n` +
+            `   ジョブURL: ${failure.lastJob.url}`
+          ).join('\n\n')
+          : '') +
+        (errors.length > 0 ? `\n\n${errors.length}件のジョブ定義は実行履歴を取得できませんでした` : '');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: resultText,
+          },
+        ],
+        structuredContent: result,
+      };
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return queryErrorResult(error, searchTerm);
+      }
+      const structuredError = serializeError(error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `失敗ジョブの集計失敗\n${structuredError.formatted}`,
+          },
+        ],
+        structuredContent: structuredError.payload,
+      };
+    }
+  },
+);
+
+// ジョブの実行・再実行・停止は TROCCO_ENABLE_JOB_CONTROL を有効にした場合のみ登録する
+if (JOB_CONTROL_ENABLED) {
+  const jobControlOutputSchema = {
+    ok: z.boolean(),
+    action: z.string(),
+    executed: z.boolean(),
+    target: z.any(),
+    request: z.any(),
+    confirmationToken: z.string().optional(),
+    expiresAt: z.string().optional(),
+    response: z.any().optional(),
+  };
+  const confirmationInputs = {
+    dryRun: z.boolean().optional().default(false),
+    confirmationToken: z.string().optional(),
+  };
+
+  registerTool(
+    'trocco_run_job',
+    {
+      title: 'Trocco Run Job',
+      description: 'Start a run of an allowlisted job definition, optionally overriding custom variables. Call without confirmationToken to preview the request and obtain a token, then call again with the token to execute.',
+      inputSchema: {
+        jobDefinitionId: z.number().int().positive(),
+        customVariables: z.record(z.string()).optional(),
+        ...confirmationInputs,
+      },
+      outputSchema: jobControlOutputSchema,
+    },
+    async ({ jobDefinitionId, customVariables, dryRun, confirmationToken }, extra, { client }) =>
+      jobControlResult(
+        () => planRun(client, { jobDefinitionId, customVariables, signal: extra?.signal }),
+        { client, dryRun, confirmationToken, signal: extra?.signal },
+      ),
+  );
+
+  registerTool(
+    'trocco_rerun_job',
+    {
+      title: 'Trocco Re-run Job',
+      description: 'Re-run a failed or canceled job with its previous custom variables (plus optional overrides). Call without confirmationToken to preview, then again with the token to execute.',
+      inputSchema: {
+        jobId: z.number().int().positive(),
+        customVariables: z.record(z.string()).optional(),
+        ...confirmationInputs,
+      },
+      outputSchema: jobControlOutputSchema,
+    },
+    async ({ jobId, customVariables, dryRun, confirmationToken }, extra, { client }) =>
+      jobControlResult(
+        () => planRerun(client, { jobId, customVariables, signal: extra?.signal }),
+        { client, dryRun, confirmationToken, signal: extra?.signal },
+      ),
+  );
+
+  registerTool(
+    'trocco_cancel_job',
+    {
+      title: 'Trocco Cancel Job',
+      description: 'Cancel a queued or running job. Call without confirmationToken to preview, then again with the token to execute.',
+      inputSchema: {
+        jobId: z.number().int().positive(),
+        ...confirmationInputs,
+      },
+      outputSchema: jobControlOutputSchema,
+    },
+    async ({ jobId, dryRun, confirmationToken }, extra, { client }) =>
+      jobControlResult(
+        () => planCancel(client, { jobId, signal: extra?.signal }),
+        { client, dryRun, confirmationToken, signal: extra?.signal },
+      ),
+  );
+}
+
+// MCPサーバーを作る。HTTPでは接続（セッション）ごとに作り、検索結果のページ送りの状態もセッションごとに持つ
+// 結果は返す前に伏せ字にする
+function createMcpServer() {
+  const server = new McpServer(SERVER_INFO, { instructions: SERVER_INSTRUCTIONS });
+  const resultSessions = new ResultSessionStore();
+  for (const { name, config, handler } of tools) {
+    server.registerTool(name, config, async (args, extra) =>
+      redactToolResult(await handler(args, extra, { ...profiles.get(args.profile), resultSessions })));
+  }
+  const stopResourceNotifications = registerResources(server, profiles);
+  registerPrompts(server, { profileNames: profiles.names() });
+  server.server.onclose = stopResourceNotifications;
+  return server;
+}
+
+if (MCP_TRANSPORT === 'http') {
+  const httpServer = await startHttpServer({
+    createMcpServer,
+    host: MCP_HTTP_HOST,
+    port: MCP_HTTP_PORT,
+    authTokens: MCP_AUTH_TOKENS,
+    allowedHosts: MCP_ALLOWED_HOSTS,
+    sessionIdleMs: MCP_SESSION_IDLE_MS,
+  });
+  handleShutdown(() => httpServer.close());
+} else {
+  const server = createMcpServer();
+  await server.connect(new StdioServerTransport());
+  handleShutdown(() => server.close());
+}
+
+// SIGINT/SIGTERMで定期的な同期・スナップショットを止め、接続を閉じてから終了する
+function handleShutdown(close) {
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.error(`[trocco-mcp] Received ${signal}, shutting down`);
+    // 閉じ終わらない接続があっても終了する
+    setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+    for (const context of profiles.all()) {
+      context.index.stopAutoRefresh();
+      context.snapshots.stopAutoSnapshot();
+    }
+    try {
+      await close();
+    } catch (error) {
+      console.error('[trocco-mcp] Failed to close connections:', error.message);
+    }
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+// 書き込み操作の共通処理: トークンがなければプレビュー、あれば検証して実行する
+async function jobControlResult(createPlan, { client, dryRun, confirmationToken, signal }) {
+  try {
+    const plan = await createPlan();
+    const request = client.describeRequest(plan.request);
+    const targetLabel = plan.target.name ? `${plan.target.name} (ID: ${plan.target.jobDefinitionId})` : `ID: ${plan.target.jobDefinitionId}`;
+
+    if (dryRun || !confirmationToken) {
+      const { token, expiresAt } = createConfirmationToken(plan, client);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `プレビュー (${plan.action}): ${targetLabel}\n` +
+              (plan.target.jobId ? `対象ジョブ: #${plan.target.jobId}\n` : '') +
+              `\n送信されるリクエスト:\n${safeJsonStringify(request)}\n\n` +
+              `実行するには confirmationToken: "${token}" を指定して再度呼び出してください（${expiresAt}まで有効）。`,
+          },
+        ],
+        structuredContent: {
+          ok: true,
+          action: plan.action,
+          executed: false,
+          target: plan.target,
+          request,
+          confirmationToken: token,
+          expiresAt,
+        },
+      };
+    }
+
+    const reservation = verifyConfirmationToken(plan, confirmationToken, client);
+    let response;
+    try {
+      response = await executePlan(client, plan, { signal });
+    } catch (error) {
+      if (isNotExecuted(error)) {
+        reservation.release();
+      } else {
+        error.outcomeUnknown = true;
+      }
+      throw error;
+    }
+    const newJobId = plan.action === 'cancel' ? plan.target.jobId : response?.id;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `実行しました (${plan.action}): ${targetLabel}` +
+            (newJobId ? `\nジョブ #${newJobId}\nURL: ${generateJobUrl(newJobId, client.baseUrl)}` : ''),
+        },
+      ],
+      structuredContent: {
+        ok: true,
+        action: plan.action,
+        executed: true,
+        target: plan.target,
+        request,
+        response,
+      },
+    };
+  } catch (error) {
+    if (error instanceof JobControlError) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `操作を拒否しました: ${error.message}`,
+          },
+        ],
+        structuredContent: {
+          ok: false,
+          error: {
+            type: 'job_control',
+            code: error.code,
+            message: error.message,
+          },
+        },
+      };
+    }
+    const structuredError = serializeError(error);
+    // 実行されたかどうか分からない場合はトークンを使用済みのままにし、二重に実行されないよう確認を促す
+    if (error.outcomeUnknown) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: 'text',
+            text: `ジョブ操作の結果を確認できませんでした\n${structuredError.formatted}\n\n` +
+              'リクエストがTROCCOで受け付けられた可能性があるため、confirmationTokenは使用済みになっています。' +
+              'trocco_list_jobs でジョブが開始されていないことを確認してから、必要であれば再度プレビューしてください。',
+          },
+        ],
+        structuredContent: { ...structuredError.payload, outcomeUnknown: true, tokenConsumed: true },
+      };
+    }
+    return {
+      isError: true,
+      content: [
+        {
+          type: 'text',
+          text: `ジョブ操作失敗\n${structuredError.formatted}`,
+        },
+      ],
+      structuredContent: structuredError.payload,
+    };
+  }
+}
+
+// 構文エラーは該当位置を示して返す
+function queryErrorResult(error, searchTerm) {
+  const position = error.position ?? 0;
+  return {
+    isError: true,
+    content: [
+      {
+        type: 'text',
+        text: `検索クエリの構文エラー: ${error.message}\n\n  ${searchTerm}\n  ${' '.repeat(position)}^`,
+      },
+    ],
+    structuredContent: {
+      ok: false,
+      error: {
+        type: 'query_syntax',
+        message: error.message,
+        position,
+        offendingToken: error.token,
+      },
+    },
+  };
+}
+
+// 検索結果のうち先頭limit件に詳細を付ける。詳細は検索時の取得分、インデックス、キャッシュの順に探す
+async function enrichMatches(search, items, { depth, limit, signal }) {
+  if (depth === 'none') {
+    return items;
+  }
+
+  return mapConcurrent(items, TROCCO_CONCURRENCY, async (item, i) => {
+    if (i >= limit || (depth === 'summary' && item.resource_type !== 'job_definition')) {
+      return item;
+    }
+    signal?.throwIfAborted();
+    const { client, indexes } = profiles.get(item.profile);
+    const details = search.details.get(`${item.profile}:${detailKey(item)}`)
+      ?? indexes[item.resource_type]?.getDetails(item.resource_key)
+      ?? await fetchResourceDetails(client, item.resource_type, item);
+    if (!details) {
+      return item;
+    }
+    return {
+      ...item,
+      ...(item.resource_type === 'job_definition' ? { config: extractConfigDetails(details) } : {}),
+      ...(depth === 'full' ? { details: maskSecrets(details) } : {}),
+    };
+  }, { signal });
+}
+
+// プロファイルごとに並行して検索し、検索結果をプロファイル名付きで1つにまとめる
+async function searchProfiles(contexts, params, signal) {
+  const searches = await Promise.all(contexts.map(async (context) => ({
+    context,
+    search: await runBatchSearch({ client: context.client, indexes: context.indexes, ...params, signal }),
+  })));
+  const multiple = searches.length > 1;
+  const tag = (name, text) => (multiple ? `[${name}] ${text}` : text);
+
+  const matches = searches.flatMap(({ context, search }) => search.matches.map(match => ({ ...match, profile: context.name })));
+  if (multiple) {
+    matches.sort((left, right) => (right.score ?? 0) - (left.score ?? 0));
+  }
+  const sources = [...new Set(searches.map(({ search }) => search.source))];
+
+  return {
+    source: sources.length === 1 ? sources[0] : 'mixed',
+    batchesSearched: searches.reduce((sum, { search }) => sum + search.batchesSearched, 0),
+    totalScanned: searches.reduce((sum, { search }) => sum + search.totalScanned, 0),
+    matches,
+    fuzzyApplied: searches.some(({ search }) => search.fuzzyApplied),
+    complete: searches.every(({ search }) => search.complete),
+    errors: searches.flatMap(({ context, search }) => search.errors.map(error => ({ profile: context.name, ...error }))),
+    warnings: searches.flatMap(({ context, search }) => search.warnings.map(warning => tag(context.name, warning))),
+    details: new Map(searches.flatMap(({ context, search }) =>
+      Array.from(search.details, ([key, details]) => [`${context.name}:${key}`, details]))),
+    detailsFetched: searches.reduce((sum, { search }) => sum + search.detailsFetched, 0),
+    detailsSkipped: searches.reduce((sum, { search }) => sum + search.detailsSkipped, 0),
+  };
+}
+
+// 検索結果のWebUIのURL（プロファイルのベースURLを使う）
+function matchUrl(item) {
+  return generateResourceUrl(item.resource_type, item, profiles.get(item.profile).client.baseUrl);
+}
+
+function projectMatch(match, fields) {
+  return fields?.length ? projectFields(match, fields) : match;
+}
+
+// 差分の行数をmaxChanges件に切り詰める（区分の見出し行は数えない）
+function limitDiffLines(lines, maxChanges) {
+  const limited = [];
+  let count = 0;
+  for (const line of lines) {
+    const isHeading = line.startsWith('\n[');
+    if (!isHeading && count >= maxChanges) break;
+    if (!isHeading) count += 1;
+    limited.push(line);
+  }
+  // 末尾に残った見出しだけの行は取り除く
+  while (limited.length > 0 && limited[limited.length - 1].startsWith('\n[')) {
+    limited.pop();
+  }
+  return limited;
+}
+
+// 部分的な失敗をテキスト出力の末尾に表示する
+function formatSearchWarnings(search) {
+  if (search.complete) {
+    return '';
+  }
+  const errorLines = search.errors.slice(0, 5).map(e =>
+    `- ${e.stage === 'details' ? `${e.resourceType} ID ${e.id} の詳細` : `バッチ${e.batch} (${e.path}${e.cursor ? `, cursor ${e.cursor}` : ''}${e.chunk !== undefined ? `, "${e.chunk}"` : ''})`}: ` +
+    `${e.status ?? 'network'} ${e.message}`
+  );
+  return `\n\n警告: 結果が不完全な可能性があります\n${search.warnings.map(w => `- ${w}`).join('\n')}` +
+    (errorLines.length > 0 ? `\n\n失敗したリクエスト:\n${errorLines.join('\n')}` : '') +
+    (search.errors.length > 5 ? `\n... 他 ${search.errors.length - 5}件` : '');
+}
+
+function formatMatchTitle(item) {
+  const label = item.resource_type === 'job_definition' ? '' : `[${RESOURCE_TYPES[item.resource_type].label}] `;
+  const connectionType = item.connection_type ? `, ${item.connection_type}` : '';
+  return `${label}${item.name} (ID: ${item.id}${connectionType})`;
+}
+
+function formatMatchedFields(matchedFields) {
+  if (!matchedFields?.length) {
+    return '';
+  }
+  return matchedFields.map(m => `\n   一致: ${m.field} = ${m.value} (${m.path})`).join('');
+}
+
+function formatAge(ageMs) {
+  const minutes = Math.floor(ageMs / 60000);
+  if (minutes < 60) return `${minutes}分`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}時間`;
+  return `${Math.floor(hours / 24)}日`;
+}
+
+function serializeError(error) {
+  if (error instanceof TroccoApiError) {
+    const formatted = summarizeError(error);
+    const payload = {
+      ok: false,
+      error: {
+        message: error.message,
+        request: error.request,
+        response: error.response,
+      },
+    };
+    if (error.response) {
+      payload.status = error.response.status;
+      payload.statusText = error.response.statusText;
+      payload.url = error.response.url;
+      payload.method = error.response.method;
+      payload.durationMs = error.response.durationMs;
+      payload.headers = error.response.headers;
+      payload.data = error.response.data;
+      payload.text = error.response.text;
+    }
+    return { formatted, payload: maskSecrets(payload) };
+  }
+  const formatted = summarizeError(error);
+  return {
+    formatted,
+    payload: maskSecrets({
+      ok: false,
+      error: {
+        message: error.message,
+      },
+    }),
   };
 }
 
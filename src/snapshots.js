@@ -0,0 +1,227 @@
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { HISTORY_IGNORED_KEYS, diffDefinitions } from './definitionDiff.js';
+import { SNAPSHOT_RETENTION, TROCCO_CACHE_DIR } from './env.js';
+import { generateResourceUrl } from './resourceTypes.js';
+import { maskSecrets } from './redact.js';
+import { safeJsonStringify, userName } from './utils.js';
+
+const SNAPSHOT_FILE_VERSION = 1;
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+export class SnapshotError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.code = code;
+  }
+}
+
+// スナップショットIDは取得日時（ファイル名に使えない文字を-に置き換えたもの）
+export function snapshotIdOf(takenAt) {
+  return takenAt.replace(/[:.]/g, '-');
+}
+
+export function takenAtOf(id) {
+  const [date, time] = id.split('T');
+  const [hours, minutes, seconds, millis] = time.replace(/Z$/, '').split('-');
+  return `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+}
+
+// 定義の一覧と詳細を定期的にローカルへ保存し、時点間の変更を比較できるようにする
+export class SnapshotStore {
+  constructor({ indexes, dir = join(TROCCO_CACHE_DIR, 'snapshots'), retention = SNAPSHOT_RETENTION } = {}) {
+    if (!indexes || Object.keys(indexes).length === 0) {
+      throw new Error('SnapshotStore requires at least one ResourceIndex');
+    }
+
+    this.indexes = indexes;
+    this.dir = dir;
+    this.retention = retention;
+    this.takePromise = null;
+    this.snapshotTimer = null;
+  }
+
+  // 同時に複数のスナップショットを取らないよう、実行中のPromiseを共有する
+  take(options = {}) {
+    if (!this.takePromise) {
+      this.takePromise = this.runTake(options).finally(() => {
+        this.takePromise = null;
+      });
+    }
+    return this.takePromise;
+  }
+
+  async runTake({ signal } = {}) {
+    const resources = {};
+    for (const [resourceType, index] of Object.entries(this.indexes)) {
+      // 実行中の同期が詳細を含まない場合は、終わった後に詳細込みで同期される
+      const stats = await index.sync({ includeDetails: true, signal });
+      resources[resourceType] = {
+        complete: stats.complete && index.lastSyncErrors.length === 0,
+        items: index.items().map((item) => {
+          const key = index.keyOf(item);
+          return { key, item, details: maskSecrets(index.getDetails(key) ?? null) };
+        }),
+      };
+    }
+
+    const takenAt = new Date().toISOString();
+    const snapshot = { version: SNAPSHOT_FILE_VERSION, id: snapshotIdOf(takenAt), takenAt, resources };
+    await mkdir(this.dir, { recursive: true });
+    const filePath = join(this.dir, `${snapshot.id}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, safeJsonStringify(snapshot, 0), 'utf8');
+    await rename(tempPath, filePath);
+
+    await this.prune();
+    return snapshot;
+  }
+
+  // 保存済みのスナップショットを古い順に返す
+  async list() {
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return names
+      .filter((name) => name.endsWith('.json') && SNAPSHOT_ID_PATTERN.test(name.slice(0, -'.json'.length)))
+      .map((name) => name.slice(0, -'.json'.length))
+      .sort()
+      .map((id) => ({ id, takenAt: takenAtOf(id) }));
+  }
+
+  async load(id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id)) {
+      throw new SnapshotError(`Malformed snapshot id "${id}"`, { code: 'invalid_snapshot' });
+    }
+
+    let raw;
+    try {
+      raw = await readFile(join(this.dir, `${id}.json`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new SnapshotError(`Snapshot "${id}" does not exist. Use trocco_snapshot with action "list" to see available snapshots.`, {
+          code: 'snapshot_not_found',
+        });
+      }
+      throw error;
+    }
+
+    const parsed = JSON.parse(raw);
+    if (parsed?.version !== SNAPSHOT_FILE_VERSION || !parsed.resources) {
+      throw new SnapshotError(`Snapshot "${id}" has an unsupported format`, { code: 'invalid_snapshot' });
+    }
+    return parsed;
+  }
+
+  // 指定日時以前で最も新しいスナップショット（なければnull）
+  async findAtOrBefore(date) {
+    const time = Date.parse(date);
+    const candidates = (await this.list()).filter((snapshot) => Date.parse(snapshot.takenAt) <= time);
+    return candidates[candidates.length - 1] ?? null;
+  }
+
+  async prune() {
+    if (!Number.isFinite(this.retention) || this.retention <= 0) {
+      return;
+    }
+    const snapshots = await this.list();
+    for (const { id } of snapshots.slice(0, Math.max(0, snapshots.length - this.retention))) {
+      await unlink(join(this.dir, `${id}.json`)).catch((error) => {
+        console.warn(`[trocco-mcp] Failed to remove old snapshot ${id}:`, error.message);
+      });
+    }
+  }
+
+  startAutoSnapshot(intervalMs) {
+    this.stopAutoSnapshot();
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      return;
+    }
+
+    const snapshot = () => {
+      this.take().catch((error) => {
+        console.error('[trocco-mcp] Scheduled snapshot failed:', error.message);
+      });
+    };
+    this.snapshotTimer = setInterval(snapshot, intervalMs);
+    this.snapshotTimer.unref?.();
+  }
+
+  stopAutoSnapshot() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+}
+
+// 2つのスナップショット間で追加・削除・変更された定義と、変更されたフィールドを列挙する
+export function compareSnapshots(from, to, { resourceTypes, baseUrl } = {}) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  const warnings = [];
+  const types = resourceTypes ?? [...new Set([...Object.keys(from.resources), ...Object.keys(to.resources)])];
+
+  for (const resourceType of types) {
+    const before = from.resources[resourceType];
+    const after = to.resources[resourceType];
+    if (!before || !after) {
+      warnings.push(`${resourceType} は ${before ? to.id : from.id} に含まれていないため比較しませんでした`);
+      continue;
+    }
+
+    const beforeEntries = new Map(before.items.map((entry) => [entry.key, entry]));
+    const afterEntries = new Map(after.items.map((entry) => [entry.key, entry]));
+
+    for (const [key, entry] of afterEntries) {
+      const previous = beforeEntries.get(key);
+      if (!previous) {
+        added.push(describeEntry(resourceType, entry, baseUrl));
+        continue;
+      }
+      // 片方の詳細が取得できていない場合は、一覧の項目同士で比較する
+      const bothDetails = previous.details && entry.details;
+      const { changes, counts } = diffDefinitions(
+        bothDetails ? previous.details : previous.item,
+        bothDetails ? entry.details : entry.item,
+        { ignoredKeys: HISTORY_IGNORED_KEYS },
+      );
+      if (changes.length > 0) {
+        modified.push({ ...describeEntry(resourceType, entry, baseUrl), changes, counts });
+      }
+    }
+
+    // 一覧を取り切れなかったスナップショットでは、見つからない定義が削除されたとは限らない
+    if (!before.complete || !after.complete) {
+      warnings.push(`${resourceType} の一覧が不完全なスナップショットを含むため、削除の判定は参考値です`);
+    }
+    for (const [key, entry] of beforeEntries) {
+      if (!afterEntries.has(key)) {
+        removed.push(describeEntry(resourceType, entry, baseUrl));
+      }
+    }
+  }
+
+  return { added, removed, modified, warnings };
+}
+
+function describeEntry(resourceType, { key, item, details }, baseUrl) {
+  const source = details ?? item;
+  return {
+    resource_type: resourceType,
+    resource_key: key,
+    id: item.id,
+    name: source.name ?? item.name,
+    url: generateResourceUrl(resourceType, item, baseUrl),
+    updated_at: source.updated_at ?? item.updated_at ?? null,
+    updated_by: userName(source.updated_by ?? item.updated_by),
+  };
+}
@@ -0,0 +1,87 @@
+const KATAKANA_START = 0x30a1;
+const KATAKANA_END = 0x30f6;
+const KANA_OFFSET = 0x60;
+
+export const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+// あいまい一致を試す最小の文字数（短い語は誤一致が多いため完全一致のみ）
+const MIN_FUZZY_LENGTH = 3;
+
+// 全角/半角の統一（NFKC）、小文字化、カタカナをひらがなに寄せる
+export function normalizeText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let result = '';
+  for (const char of String(value).normalize('NFKC').toLowerCase()) {
+    const code = char.codePointAt(0);
+    result += code >= KATAKANA_START && code <= KATAKANA_END
+      ? String.fromCodePoint(code - KANA_OFFSET)
+      : char;
+  }
+  return result;
+}
+
+// needleがhaystackにどれだけ一致するかを0〜1で返す（0は不一致）
+export function scoreText(needle, haystack, { fuzzy = false, threshold = DEFAULT_FUZZY_THRESHOLD } = {}) {
+  if (!needle || !haystack) {
+    return 0;
+  }
+  if (haystack === needle) {
+    return 1;
+  }
+
+  const position = haystack.indexOf(needle);
+  if (position !== -1) {
+    // 先頭や区切り文字の直後から一致する方を高くする
+    const atBoundary = position === 0 || /[\s_\-./()]/.test(haystack[position - 1]);
+    const coverage = needle.length / haystack.length;
+    return (atBoundary ? 0.8 : 0.7) + 0.2 * coverage;
+  }
+
+  if (!fuzzy || [...needle].length < MIN_FUZZY_LENGTH) {
+    return 0;
+  }
+
+  const similarity = substringSimilarity(needle, haystack);
+  return similarity >= threshold ? 0.6 * similarity : 0;
+}
+
+// haystackのいずれかの部分文字列とneedleの編集距離から類似度を求める（Sellersのアルゴリズム）
+export function substringSimilarity(needle, haystack) {
+  const a = [...needle];
+  const b = [...haystack];
+  let previous = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - Math.min(...previous) / a.length;
+}
+
+// 2つの文字列全体の編集距離から類似度を0〜1で求める
+export function stringSimilarity(left, right) {
+  const a = [...left];
+  const b = [...right];
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
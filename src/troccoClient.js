@@ -1,25 +1,55 @@
 import { performance } from 'node:perf_hooks';
 import {
+  MAX_RETRIES,
+  RATE_LIMIT_BURST,
+  RATE_LIMIT_PER_SECOND,
   REQUEST_TIMEOUT_MS,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
   TROCCO_API_KEY,
+  TROCCO_CONCURRENCY,
   TROCCO_BASE_URL,
   TROCCO_AUTH_HEADER,
   TROCCO_AUTH_SCHEME,
   TROCCO_EXTRA_HEADERS,
 } from './env.js';
+import {
+  backoffDelay,
+  IDEMPOTENT_METHODS,
+  rateLimitDelay,
+  RETRYABLE_STATUSES,
+  sleep,
+  TokenBucket,
+} from './rateLimit.js';
+import { maskSecrets, registerSecretValue } from './redact.js';
+import { ConcurrencyLimiter, mapConcurrent } from './scheduler.js';
 import { getByPath, safeJsonStringify, toPlainHeaders } from './utils.js';
 
+// retryableは、再試行で成功しうる失敗（一時的なHTTPステータス、通信エラー、タイムアウト）かどうか
 export class TroccoApiError extends Error {
-  constructor(message, { request, response } = {}) {
+  constructor(message, { request, response, retryable = false } = {}) {
     super(message);
     this.name = 'TroccoApiError';
     this.request = request;
     this.response = response;
+    this.retryable = retryable;
   }
 }
 
 export class TroccoClient {
-  constructor({ baseUrl = TROCCO_BASE_URL, apiKey = TROCCO_API_KEY, timeoutMs = REQUEST_TIMEOUT_MS, fetchImpl } = {}) {
+  constructor({
+    baseUrl = TROCCO_BASE_URL,
+    apiKey = TROCCO_API_KEY,
+    timeoutMs = REQUEST_TIMEOUT_MS,
+    fetchImpl,
+    maxRetries = MAX_RETRIES,
+    retryBaseDelayMs = RETRY_BASE_DELAY_MS,
+    retryMaxDelayMs = RETRY_MAX_DELAY_MS,
+    rateLimitPerSecond = RATE_LIMIT_PER_SECOND,
+    rateLimitBurst = RATE_LIMIT_BURST,
+    concurrency = TROCCO_CONCURRENCY,
+    profile = 'default',
+  } = {}) {
     if (!baseUrl) {
       throw new Error('TroccoClient requires a baseUrl');
     }
@@ -27,10 +57,20 @@ export class TroccoClient {
       throw new Error('TroccoClient requires an API key');
     }
 
+    this.profile = profile;
     this.baseUrl = baseUrl;
     this.apiKey = apiKey;
+    registerSecretValue(apiKey);
     this.timeoutMs = timeoutMs;
     this.fetch = fetchImpl ?? globalThis.fetch?.bind(globalThis);
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+    this.rateLimiter = rateLimitPerSecond > 0
+      ? new TokenBucket({ ratePerSecond: rateLimitPerSecond, capacity: Math.max(1, rateLimitBurst) })
+      : null;
+    this.concurrency = Math.max(1, concurrency);
+    this.limiter = new ConcurrencyLimiter(this.concurrency);
 
     if (typeof this.fetch !== 'function') {
       throw new Error('No fetch implementation available. Supply fetchImpl when instantiating TroccoClient.');
@@ -86,7 +126,75 @@ export class TroccoClient {
     };
   }
 
-  async request({
+  // requestが送信する内容を実際には送らずに返す（認証ヘッダーなどの値は伏せる）
+  describeRequest({ path, method = 'GET', query, body, headers }) {
+    const authHeader = TROCCO_AUTH_HEADER || 'Authorization';
+    const builtHeaders = maskSecrets(this.buildHeaders(headers));
+    builtHeaders[authHeader] = TROCCO_AUTH_SCHEME ? `${TROCCO_AUTH_SCHEME} ********` : '********';
+
+    return {
+      method,
+      url: this.buildUrl(path, query).toString(),
+      headers: builtHeaders,
+      body: serializeBody(body, method),
+    };
+  }
+
+  // レート制限のトークンを待ってから送信し、冪等なリクエストは一時的なエラーで再試行する
+  async request(options) {
+    const method = (options.method ?? 'GET').toUpperCase();
+    const maxRetries = options.retries ?? (IDEMPOTENT_METHODS.includes(method) ? this.maxRetries : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter?.take(options.signal);
+      try {
+        const response = await this.limiter.run(() => this.send(options), options.signal);
+        const pause = rateLimitDelay(response.headers);
+        if (pause) {
+          this.rateLimiter?.pauseFor(pause);
+        }
+        return { ...response, attempts: attempt + 1 };
+      } catch (error) {
+        const delay = attempt < maxRetries && !options.signal?.aborted ? this.retryDelay(error, attempt) : null;
+        if (delay === null) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+        console.error(
+          `[trocco-mcp] ${method} ${options.path} failed (${error.response?.status ?? error.message}); retrying in ${delay} ms (${attempt + 1}/${maxRetries})`,
+        );
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  // 複数のリクエストを伴う処理を並行に実行する。実際の同時リクエスト数はlimiterで制限される
+  map(items, fn, { signal } = {}) {
+    return mapConcurrent(items, this.concurrency, fn, { signal });
+  }
+
+  // 再試行までの待ち時間。再試行しないエラー（引数の誤りなど、API呼び出し以外の失敗を含む）はnull
+  retryDelay(error, attempt) {
+    if (!(error instanceof TroccoApiError) || !error.retryable) {
+      return null;
+    }
+    const status = error.response?.status;
+
+    const serverDelay = rateLimitDelay(error.response?.headers);
+    if (serverDelay !== null) {
+      // サーバーの指定が上限より長い場合は待たずに失敗として返す
+      if (serverDelay > this.retryMaxDelayMs) {
+        return null;
+      }
+      if (status === 429) {
+        this.rateLimiter?.pauseFor(serverDelay);
+      }
+      return serverDelay;
+    }
+    return backoffDelay(attempt, { baseDelayMs: this.retryBaseDelayMs, maxDelayMs: this.retryMaxDelayMs });
+  }
+
+  async send({
     path,
     method = 'GET',
     query,
@@ -103,7 +211,8 @@ export class TroccoClient {
       signals.push(signal);
     }
 
-    const compositeSignal = signals.length === 1 ? controller.signal : anySignal(signals);
+    const composite = signals.length === 1 ? { signal: controller.signal, dispose() {} } : anySignal(signals);
+    const compositeSignal = composite.signal;
 
     const abortTimeout = setTimeout(() => {
       controller.abort(new Error(`Trocco API request timed out after ${timeoutMs ?? this.timeoutMs} ms`));
@@ -116,12 +225,9 @@ export class TroccoClient {
       signal: compositeSignal,
     };
 
-    if (body !== undefined && body !== null && method !== 'GET' && method !== 'HEAD') {
-      if (typeof body === 'string' || body instanceof Uint8Array) {
-        requestInit.body = body;
-      } else {
-        requestInit.body = JSON.stringify(body);
-      }
+    const serializedBody = serializeBody(body, method);
+    if (serializedBody !== undefined) {
+      requestInit.body = serializedBody;
     }
 
     const requestContext = {
@@ -167,6 +273,7 @@ export class TroccoClient {
           {
             request: requestContext,
             response: summary,
+            retryable: RETRYABLE_STATUSES.includes(response.status),
           },
         );
       }
@@ -176,11 +283,16 @@ export class TroccoClient {
       if (error instanceof TroccoApiError) {
         throw error;
       }
-      const wrapped = new TroccoApiError(error.message, { request: requestContext });
+      // 自前のタイムアウトと、fetchの通信エラー（causeに原因が入る）のみ再試行する
+      const wrapped = new TroccoApiError(error.message, {
+        request: requestContext,
+        retryable: controller.signal.aborted || (error?.name === 'TypeError' && error.cause !== undefined),
+      });
       wrapped.cause = error;
       throw wrapped;
     } finally {
       clearTimeout(abortTimeout);
+      composite.dispose();
     }
   }
 
@@ -256,6 +368,16 @@ export class TroccoClient {
   }
 }
 
+function serializeBody(body, method) {
+  if (body === undefined || body === null || method === 'GET' || method === 'HEAD') {
+    return undefined;
+  }
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return body;
+  }
+  return JSON.stringify(body);
+}
+
 function shouldParseJson(response, responseType) {
   if (responseType === 'json') {
     return true;
@@ -277,27 +399,38 @@ function anySignal(signals) {
     controller.abort(event?.target?.reason ?? event?.target?.signal?.reason ?? undefined);
   };
 
+  const listening = [];
   for (const signal of signals) {
     if (signal.aborted) {
       controller.abort(signal.reason);
       break;
     }
     signal.addEventListener('abort', onAbort, { once: true });
+    listening.push(signal);
   }
 
-  return controller.signal;
+  // 呼び出し元のシグナルにリスナーが溜まらないよう、リクエスト完了時に外す
+  return {
+    signal: controller.signal,
+    dispose() {
+      for (const signal of listening) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    },
+  };
 }
 
+// 認証ヘッダーや秘密の値を伏せてから文字列にする
 export function summarizeError(error) {
   if (error instanceof TroccoApiError) {
     return safeJsonStringify(
-      {
+      maskSecrets({
         message: error.message,
         request: error.request,
         response: error.response,
-      },
+      }),
       2,
     );
   }
-  return safeJsonStringify({ message: error.message, stack: error.stack }, 2);
+  return safeJsonStringify(maskSecrets({ message: error.message, stack: error.stack }), 2);
 }
@@ -26,19 +26,22 @@ export function safeJsonStringify(value, space = 2) {
   }
 }
 
-export function getByPath(input, rawPath) {
-  if (!rawPath) {
-    return input;
-  }
-
-  const path = rawPath
+// "a.b[0].c"のようなパスを["a", "b", "0", "c"]に分ける
+function pathSegments(rawPath) {
+  return rawPath
     .replace(/\[(\d+)\]/g, '.$1')
     .split('.')
     .map((segment) => segment.trim())
     .filter(Boolean);
+}
+
+export function getByPath(input, rawPath) {
+  if (!rawPath) {
+    return input;
+  }
 
   let current = input;
-  for (const segment of path) {
+  for (const segment of pathSegments(rawPath)) {
     if (current === null || current === undefined) {
       return undefined;
     }
@@ -86,6 +89,14 @@ export function ensureArray(value) {
   return Array.isArray(value) ? value : [value];
 }
 
+// 作成者・更新者はAPIによって文字列またはユーザーオブジェクト（{ name, email }）で返る
+export function userName(user) {
+  if (user === null || user === undefined) {
+    return null;
+  }
+  return typeof user === 'object' ? user.name ?? user.email ?? null : String(user);
+}
+
 export function toPlainHeaders(headers) {
   if (!headers) {
     return {};
@@ -105,3 +116,28 @@ export function toPlainHeaders(headers) {
 
   return { ...headers };
 }
+
+// ドット区切りのパス（配列の要素は[0]で指定）で指定した値だけを、同じ入れ子構造で取り出す
+// 配列の要素を指定した場合は、元の位置のまま配列として返す
+export function projectFields(input, paths) {
+  const projected = {};
+  for (const path of paths) {
+    const value = getByPath(input, path);
+    if (value === undefined) {
+      continue;
+    }
+
+    const segments = pathSegments(path);
+    let target = projected;
+    let source = input;
+    for (const segment of segments.slice(0, -1)) {
+      source = source[segment];
+      if (typeof target[segment] !== 'object' || target[segment] === null) {
+        target[segment] = Array.isArray(source) ? [] : {};
+      }
+      target = target[segment];
+    }
+    target[segments[segments.length - 1]] = value;
+  }
+  return projected;
+}